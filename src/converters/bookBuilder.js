@@ -0,0 +1,239 @@
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { renderTemplate } from '../utils/helpers.js';
+import { SafeString } from '../utils/templateEngine.js';
+import { getMathStyles } from '../utils/math.js';
+
+// Manifest lists in reading order; cover is a single file
+const PART_KINDS = ['frontMatter', 'chapters', 'appendix'];
+
+// Heading numbers per part kind; the cover and front matter stay unnumbered
+const NUMBER_STYLES = { cover: null, frontMatter: null, chapters: 'decimal', appendix: 'alpha' };
+
+const PART_CLASSES = { cover: 'book-cover', frontMatter: 'book-front-matter', chapters: 'book-chapter', appendix: 'book-appendix' };
+
+const BOOK_STYLES = `
+  .book-part {
+    page-break-before: always;
+  }
+
+  .book-part:first-child {
+    page-break-before: auto;
+  }
+
+  .book-part > a[hidden] + .markdown-heading {
+    margin-top: 0;
+  }
+`;
+
+function manifestError(message) {
+  return Object.assign(new Error(`Invalid book manifest: ${message}`), { code: 'INVALID_MANIFEST', statusCode: 400 });
+}
+
+// A malformed escape such as %E0%A4%A gives null, so the link is left as the author wrote it
+function decodeHref(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+function toPlainText(html) {
+  return html
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#0?39);/g, (entity, name) => ({ amp: '&', lt: '<', gt: '>', quot: '"' }[name] || "'"))
+    .trim();
+}
+
+/**
+ * Read a book manifest (JSON, or YAML for .yml/.yaml files). Part paths are
+ * resolved against the manifest's directory; entries are file paths or
+ * { file, title } where title overrides the running header.
+ */
+export async function loadBookManifest(manifestPath) {
+  const source = await fs.readFile(manifestPath, 'utf-8');
+  let manifest;
+  try {
+    manifest = /\.ya?ml$/i.test(manifestPath) ? yaml.load(source, { schema: yaml.CORE_SCHEMA }) : JSON.parse(source);
+  } catch (error) {
+    throw manifestError(error.reason || error.message);
+  }
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw manifestError('expected an object');
+  }
+  if (!Array.isArray(manifest.chapters) || manifest.chapters.length === 0) {
+    throw manifestError('"chapters" must list at least one file');
+  }
+
+  const baseDir = path.dirname(path.resolve(manifestPath));
+  const toEntry = (entry, kind) => {
+    const file = typeof entry === 'string' ? entry : entry?.file;
+    if (typeof file !== 'string' || !file) {
+      throw manifestError(`every ${kind} entry needs a file`);
+    }
+    return { kind, file: path.resolve(baseDir, file), title: entry.title };
+  };
+
+  const parts = manifest.cover ? [toEntry(manifest.cover, 'cover')] : [];
+  for (const kind of PART_KINDS) {
+    if (manifest[kind] !== undefined && !Array.isArray(manifest[kind])) {
+      throw manifestError(`"${kind}" must be a list of files`);
+    }
+    parts.push(...(manifest[kind] || []).map(entry => toEntry(entry, kind)));
+  }
+
+  const { cover, frontMatter, chapters, appendix, options = {}, ...metadata } = manifest;
+  return { path: path.resolve(manifestPath), metadata, options, parts };
+}
+
+/**
+ * Assembles a book from a manifest into one HTML document: cover, front matter,
+ * a combined table of contents, chapters and appendices, each part starting on
+ * a new page. Headings are numbered continuously (appendices A, A.1, ...),
+ * and links to other parts (chapter.md, chapter.md#section) become internal anchors.
+ */
+class BookBuilder {
+  constructor(markdownConverter) {
+    this.converter = markdownConverter;
+  }
+
+  // Returns { html, sections: [{ id, kind, file, title }] } with one section per part
+  async build(manifest, options = {}) {
+    const sources = await Promise.all(manifest.parts.map(part => fs.readFile(part.file, 'utf-8').catch((error) => {
+      throw Object.assign(new Error(`Cannot read ${part.kind} ${path.relative(process.cwd(), part.file)}: ${error.message}`), {
+        code: 'INVALID_MANIFEST',
+        statusCode: 400
+      });
+    })));
+
+    // The converter's marked instance is shared, so every part renders in one synchronous run
+    const converter = this.converter;
+    converter.beginDocument(options);
+    const parts = manifest.parts.map((part, index) => this.renderPart(part, sources[index], index + 1));
+    const rendered = { codeOptions: converter.codeOptions, hasMath: converter.hasMath };
+
+    const byFile = new Map(parts.map(part => [part.file, part]));
+    const body = parts.map(part => {
+      const html = this.resolveLinks(part, byFile);
+      return `<section class="book-part ${PART_CLASSES[part.kind]}" id="${part.id}">${this.destinationLink(part.id)}${html}</section>`;
+    });
+
+    const toc = this.buildToc(parts, options);
+    if (toc) {
+      // After the cover and front matter, before the first chapter
+      const firstChapter = parts.findIndex(part => part.kind === 'chapters');
+      body.splice(firstChapter, 0, `<section class="book-part book-toc">${toc}</section>`);
+    }
+
+    const title = options.title || manifest.metadata.title || parts.find(part => part.kind === 'chapters').title;
+    const html = await renderTemplate(options.template, {
+      ...manifest.metadata,
+      ...options.variables,
+      title,
+      content: new SafeString(body.join('\n')),
+      style: new SafeString(
+        converter.getDefaultStyles() +
+        BOOK_STYLES +
+        await converter.getCodeStyles(rendered.codeOptions) +
+        (rendered.hasMath ? await getMathStyles() : '')
+      )
+    });
+
+    return {
+      html,
+      sections: parts.map(({ id, kind, file, runningTitle }) => ({ id, kind, file, title: runningTitle }))
+    };
+  }
+
+  renderPart(part, source, position) {
+    const id = `book-part-${position}`;
+    const fallbackTitle = path.basename(part.file, path.extname(part.file));
+    const running = NUMBER_STYLES[part.kind] !== null;
+
+    // HTML parts are included as they are, without numbering
+    if (/\.html?$/i.test(part.file)) {
+      const body = source.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+      const heading = source.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+      const title = part.title || (heading && toPlainText(heading[1])) || fallbackTitle;
+      return { ...part, id, html: body ? body[1] : source, headings: [], slugs: new Map(), title, runningTitle: running ? title : null };
+    }
+
+    const { html, headings, metadata } = this.converter.renderPart(source, { numberStyle: NUMBER_STYLES[part.kind] });
+
+    // Authors link to the slug GitHub would give a heading; map it to the book-wide id
+    const slugs = new Map();
+    const seen = new Map();
+    headings.forEach(heading => {
+      const base = this.converter.slugify(heading.text);
+      const count = seen.get(base) || 0;
+      seen.set(base, count + 1);
+      slugs.set(count === 0 ? base : `${base}-${count}`, heading.id);
+    });
+
+    const heading = headings[0];
+    const title = part.title || metadata.title || (heading && toPlainText(heading.text)) || fallbackTitle;
+    const numbered = !part.title && heading?.number;
+    return {
+      ...part,
+      id,
+      html,
+      headings,
+      slugs,
+      title,
+      runningTitle: running ? (numbered ? `${heading.number} ${title}` : title) : null
+    };
+  }
+
+  resolveLinks(part, byFile) {
+    return part.html.replace(/\bhref="([^"]*)"/g, (attribute, href) => {
+      const target = this.resolveLink(href.replace(/&amp;/g, '&'), part, byFile);
+      return target ? `href="${target}"` : attribute;
+    });
+  }
+
+  resolveLink(href, part, byFile) {
+    const hashIndex = href.indexOf('#');
+    const target = hashIndex === -1 ? href : href.slice(0, hashIndex);
+    const fragment = hashIndex === -1 ? '' : decodeHref(href.slice(hashIndex + 1));
+    if (fragment === null) {
+      return null;
+    }
+
+    if (!target) {
+      return fragment && part.slugs.has(fragment) ? `#${part.slugs.get(fragment)}` : null;
+    }
+    // Remote, absolute and other non-file links stay as they are
+    if (/^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('/')) {
+      return null;
+    }
+
+    const file = decodeHref(target);
+    const linked = file !== null && byFile.get(path.resolve(path.dirname(part.file), file));
+    if (!linked) {
+      return null;
+    }
+    return `#${fragment ? linked.slugs.get(fragment) || fragment : linked.id}`;
+  }
+
+  // Chromium only writes named destinations for link targets; the running headers need one per part
+  destinationLink(id) {
+    return `<a href="#${id}" hidden></a>`;
+  }
+
+  // toc: true or a depth (default 2); false leaves it out
+  buildToc(parts, options) {
+    const { toc } = options;
+    if (toc === false || toc === 'false') {
+      return '';
+    }
+    const depth = /^\d+$/.test(String(toc)) ? Number(toc) : Number(options.tocDepth) || 2;
+    const headings = parts
+      .filter(part => part.kind === 'chapters' || part.kind === 'appendix')
+      .flatMap(part => part.headings);
+    return this.converter.buildToc(headings, depth, options.tocTitle);
+  }
+}
+
+export default BookBuilder;
@@ -0,0 +1,162 @@
+import TextConverter from './textConverter.js';
+import HtmlConverter from './htmlConverter.js';
+import JsonConverter from './jsonConverter.js';
+import MarkdownConverter from './markdownConverter.js';
+import CsvConverter from './csvConverter.js';
+
+// Highest priority detector that accepts the content wins; a detector that throws declines
+function detectType(entries, content, defaultType) {
+  const match = entries
+    .filter(entry => entry.detect)
+    .sort((a, b) => b.priority - a.priority)
+    .find(entry => {
+      try {
+        return entry.detect(content);
+      } catch (error) {
+        return false;
+      }
+    });
+
+  return match ? match.type : defaultType;
+}
+
+class ConverterRegistry {
+  constructor(defaultType = 'text') {
+    this.defaultType = defaultType;
+    this.entries = new Map();
+  }
+
+  register(type, converter, options = {}) {
+    if (!type || typeof type !== 'string') {
+      throw new Error('Converter type must be a non-empty string');
+    }
+    if (!converter || typeof converter.convert !== 'function') {
+      throw new Error(`Converter for "${type}" must implement convert(content, options)`);
+    }
+
+    const detect = options.detect || (typeof converter.detect === 'function'
+      ? converter.detect.bind(converter)
+      : null);
+
+    this.entries.set(type, {
+      type,
+      converter,
+      label: options.label || type,
+      extensions: (options.extensions || []).map(ext => ext.toLowerCase()),
+      mimeTypes: (options.mimeTypes || []).map(mime => mime.toLowerCase()),
+      detect,
+      // Higher priority detectors run first, so specific formats win over loose ones like Markdown
+      priority: options.priority || 0
+    });
+  }
+
+  get(type) {
+    const entry = this.entries.get(type);
+    return entry ? entry.converter : null;
+  }
+
+  has(type) {
+    return this.entries.has(type);
+  }
+
+  types() {
+    return Array.from(this.entries.keys());
+  }
+
+  extensions() {
+    return Array.from(this.entries.values()).flatMap(entry => entry.extensions);
+  }
+
+  // The latest registration claiming an extension or MIME type wins, so plugins can take over built-in ones
+  typeForExtension(ext) {
+    const normalized = (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase();
+    const entry = Array.from(this.entries.values()).findLast(candidate => candidate.extensions.includes(normalized));
+    return entry ? entry.type : null;
+  }
+
+  typeForMimeType(mimeType) {
+    if (!mimeType) {
+      return null;
+    }
+    const normalized = mimeType.split(';')[0].trim().toLowerCase();
+    const entry = Array.from(this.entries.values()).findLast(candidate => candidate.mimeTypes.includes(normalized));
+    return entry ? entry.type : null;
+  }
+
+  detect(content) {
+    return detectType(Array.from(this.entries.values()), content, this.defaultType);
+  }
+
+  describe() {
+    return Array.from(this.entries.values()).map(({ type, label, extensions, mimeTypes }) => ({
+      type,
+      label,
+      extensions,
+      mimeTypes
+    }));
+  }
+}
+
+// The built-in converters; the engine adds its own on top with registerConverter.
+// A function, because helpers.js and the converters import each other
+function builtInConverters() {
+  return [
+    {
+      type: 'text',
+      Converter: TextConverter,
+      label: 'Plain Text',
+      extensions: ['.txt', '.text'],
+      mimeTypes: ['text/plain']
+    },
+    {
+      type: 'html',
+      Converter: HtmlConverter,
+      label: 'HTML',
+      extensions: ['.html', '.htm'],
+      mimeTypes: ['text/html'],
+      priority: 20
+    },
+    {
+      type: 'json',
+      Converter: JsonConverter,
+      label: 'JSON',
+      extensions: ['.json'],
+      mimeTypes: ['application/json'],
+      priority: 30
+    },
+    {
+      type: 'markdown',
+      Converter: MarkdownConverter,
+      label: 'Markdown',
+      extensions: ['.md', '.markdown'],
+      mimeTypes: ['text/markdown', 'text/x-markdown'],
+      priority: 10
+    },
+    {
+      type: 'csv',
+      Converter: CsvConverter,
+      label: 'CSV / TSV',
+      extensions: ['.csv', '.tsv'],
+      mimeTypes: ['text/csv', 'text/tab-separated-values'],
+      priority: 15
+    }
+  ];
+}
+
+export function createDefaultRegistry(defaultType) {
+  const registry = new ConverterRegistry(defaultType);
+  builtInConverters().forEach(({ type, Converter, ...options }) => registry.register(type, new Converter(), options));
+  return registry;
+}
+
+// Sniffs content with the built-in detectors only. Their detect() methods read no
+// converter state, so they run on the prototypes and no converter is constructed
+export function detectBuiltInType(content, defaultType = 'text') {
+  return detectType(builtInConverters().map(({ type, Converter, priority }) => ({
+    type,
+    detect: typeof Converter.prototype.detect === 'function' ? (text) => Converter.prototype.detect(text) : null,
+    priority: priority || 0
+  })), content, defaultType);
+}
+
+export default ConverterRegistry;
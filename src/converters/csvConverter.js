@@ -0,0 +1,328 @@
+import { renderTemplate } from '../utils/helpers.js';
+import { SafeString } from '../utils/templateEngine.js';
+
+const CANDIDATE_DELIMITERS = [',', '\t', ';', '|'];
+const SAMPLE_SIZE = 64 * 1024;
+const NUMERIC_PATTERN = /^[-+]?[\d,]*\.?\d+(e[-+]?\d+)?%?$/i;
+
+class CsvConverter {
+  async convert(csvContent, options = {}) {
+    const text = this.stripBom(csvContent);
+    const delimiter = this.resolveDelimiter(options.delimiter) || this.detectDelimiter(text);
+    const rows = this.parse(text, delimiter);
+
+    if (rows.length === 0) {
+      throw new Error('CSV input is empty');
+    }
+
+    const hasHeader = this.resolveHeader(options.headerRow, rows);
+    const width = Math.max(...rows.map(row => row.length));
+    const headers = hasHeader
+      ? rows[0].map((cell, index) => cell || `Column ${index + 1}`)
+      : Array.from({ length: width }, (_, index) => `Column ${index + 1}`);
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+
+    const columns = this.selectColumns(headers, width, options.columns);
+    const title = options.title || '';
+
+    return renderTemplate(options.template, {
+      ...options.variables,
+      title,
+      rowCount: dataRows.length,
+      content: new SafeString(this.rowsToTable(headers, dataRows, columns)),
+      style: new SafeString(this.getDefaultStyles())
+    });
+  }
+
+  // Decode raw bytes, honouring a byte order mark before falling back to options.encoding
+  decode(buffer, options = {}) {
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+      return new TextDecoder('utf-8').decode(buffer.subarray(3));
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+      return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+    }
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+      return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+    }
+
+    try {
+      return new TextDecoder(options.encoding || 'utf-8').decode(buffer);
+    } catch (error) {
+      throw new Error(`Unsupported encoding: ${options.encoding}`);
+    }
+  }
+
+  // Sniffing unlabelled content: prose such as "Dear Sam, thanks.\nBest regards, Alex" has
+  // a steady comma count too, so ask for at least three rows of mostly data-like cells
+  detect(content) {
+    const text = this.stripBom(content).trim();
+    const lines = text.split(/\r?\n/).slice(0, 5);
+    if (lines.length < 3 || /^\s*[{[<#]/.test(lines[0])) {
+      return false;
+    }
+    // Markdown pipe tables would otherwise look like pipe-delimited data
+    if (lines.some(line => /^\s*\|?\s*:?-{3,}/.test(line))) {
+      return false;
+    }
+
+    return CANDIDATE_DELIMITERS.some(delimiter => {
+      const rows = this.sampleRows(text, delimiter, 5);
+      const width = rows[0]?.length;
+      if (rows.length < 3 || width < 2 || rows.some(row => row.length !== width)) {
+        return false;
+      }
+      const cells = rows.flat().map(cell => cell.trim());
+      const dataLike = cells.filter(cell => NUMERIC_PATTERN.test(cell) || !/\s/.test(cell));
+      return dataLike.length * 2 > cells.length;
+    });
+  }
+
+  stripBom(text) {
+    return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  }
+
+  resolveDelimiter(delimiter) {
+    if (!delimiter) {
+      return null;
+    }
+    if (delimiter === 'tab' || delimiter === '\\t') {
+      return '\t';
+    }
+    if (delimiter.length !== 1) {
+      throw new Error(`Delimiter must be a single character: ${delimiter}`);
+    }
+    return delimiter;
+  }
+
+  detectDelimiter(text) {
+    let best = ',';
+    let bestScore = 0;
+    for (const delimiter of CANDIDATE_DELIMITERS) {
+      const counts = this.sampleRows(text, delimiter, 10).map(row => row.length);
+      const consistent = counts.every(count => count === counts[0]);
+      const score = consistent ? counts[0] : 0;
+      if (score > bestScore) {
+        best = delimiter;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  // Parse the first records of a large input without failing on a record cut off by the sample
+  sampleRows(text, delimiter, count) {
+    const sample = text.slice(0, SAMPLE_SIZE);
+    const rows = this.parse(sample, delimiter, { lenient: true });
+    const complete = sample.length < text.length ? rows.slice(0, -1) : rows;
+    return complete.slice(0, count);
+  }
+
+  // RFC 4180: quoted fields may contain delimiters, newlines and "" escaped quotes
+  parse(text, delimiter = ',', { lenient = false } = {}) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let i = 0;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"') {
+          if (text[i + 1] === '"') {
+            field += '"';
+            i += 2;
+            continue;
+          }
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+        i++;
+        continue;
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+      } else {
+        field += char;
+      }
+      i++;
+    }
+
+    if (inQuotes && !lenient) {
+      throw new Error('Unterminated quoted field in CSV input');
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter(candidate => candidate.length > 1 || candidate[0] !== '');
+  }
+
+  resolveHeader(header, rows) {
+    if (header === true || header === 'true') {
+      return true;
+    }
+    if (header === false || header === 'false') {
+      return false;
+    }
+
+    // Auto-detect: a header row has no numeric cells while the data below it does,
+    // or its values are all distinct non-empty labels
+    const [first, ...rest] = rows;
+    if (rest.length === 0) {
+      return false;
+    }
+    const firstHasNumbers = first.some(cell => NUMERIC_PATTERN.test(cell.trim()));
+    const restHasNumbers = rest.slice(0, 20).some(row => row.some(cell => NUMERIC_PATTERN.test(cell.trim())));
+    if (firstHasNumbers) {
+      return false;
+    }
+    if (restHasNumbers) {
+      return true;
+    }
+    return first.every(cell => cell.trim() !== '') && new Set(first).size === first.length;
+  }
+
+  selectColumns(headers, width, columns) {
+    const all = Array.from({ length: width }, (_, index) => index);
+    if (!columns || columns.length === 0) {
+      return all;
+    }
+
+    const requested = Array.isArray(columns) ? columns : String(columns).split(',');
+
+    // Columns are chosen by header name or by 1-based position
+    return requested.map(column => {
+      const name = String(column).trim();
+      const byName = headers.indexOf(name);
+      if (byName !== -1) {
+        return byName;
+      }
+      if (/^\d+$/.test(name) && Number(name) >= 1 && Number(name) <= width) {
+        return Number(name) - 1;
+      }
+      throw new Error(`Unknown CSV column: ${name}`);
+    });
+  }
+
+  rowsToTable(headers, rows, columns) {
+    const numericColumns = columns.filter(index => {
+      const values = rows.map(row => (row[index] || '').trim()).filter(Boolean);
+      return values.length > 0 && values.every(value => NUMERIC_PATTERN.test(value));
+    });
+
+    const cellClass = (index) => (numericColumns.includes(index) ? ' class="csv-number"' : '');
+    const headerRow = columns.map(index => `<th${cellClass(index)}>${this.escapeHtml(headers[index] || '')}</th>`).join('');
+    const dataRows = rows.map(row =>
+      `<tr>${columns.map(index => `<td${cellClass(index)}>${this.escapeHtml(row[index] || '')}</td>`).join('')}</tr>`
+    ).join('\n');
+
+    return `
+      <table class="csv-table">
+        <thead>
+          <tr>${headerRow}</tr>
+        </thead>
+        <tbody>
+          ${dataRows}
+        </tbody>
+      </table>
+      <p class="csv-summary">${rows.length} row${rows.length === 1 ? '' : 's'}</p>
+    `;
+  }
+
+  escapeHtml(text) {
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return text.replace(/[&<>"']/g, m => map[m]).replace(/\r?\n/g, '<br>');
+  }
+
+  getDefaultStyles() {
+    return `
+      body {
+        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+        line-height: 1.5;
+        color: #333;
+        margin: 0 auto;
+        padding: 20px;
+      }
+
+      h1 {
+        color: #2c3e50;
+        border-bottom: 2px solid #3498db;
+        padding-bottom: 10px;
+      }
+
+      .csv-table {
+        width: 100%;
+        border-collapse: collapse;
+        margin: 1em 0;
+        font-size: 12px;
+      }
+
+      .csv-table th,
+      .csv-table td {
+        border: 1px solid #d1d5db;
+        padding: 6px 10px;
+        text-align: left;
+        vertical-align: top;
+        word-break: break-word;
+      }
+
+      .csv-table th {
+        background-color: #f3f4f6;
+        font-weight: bold;
+        color: #374151;
+      }
+
+      .csv-table .csv-number {
+        text-align: right;
+        font-variant-numeric: tabular-nums;
+      }
+
+      .csv-table tbody tr:nth-child(even) {
+        background-color: #f9fafb;
+      }
+
+      .csv-summary {
+        color: #6b7280;
+        font-size: 12px;
+      }
+
+      @media print {
+        .csv-table thead {
+          display: table-header-group;
+        }
+
+        .csv-table tr {
+          page-break-inside: avoid;
+        }
+      }
+    `;
+  }
+}
+
+export default CsvConverter;
@@ -1,4 +1,5 @@
-import { loadTemplate } from '../utils/helpers.js';
+import { renderTemplate } from '../utils/helpers.js';
+import { SafeString } from '../utils/templateEngine.js';
 
 class HtmlConverter {
   async convert(htmlContent, options = {}) {
@@ -11,12 +12,18 @@ class HtmlConverter {
 
     // It's just HTML content, wrap it in a template
     const title = options.title || '';
-    const template = await loadTemplate('default.html');
     
-    return template
-      .replace(/\{\{title\}\}/g, this.escapeHtml(title))
-      .replace(/\{\{content\}\}/g, htmlContent)
-      .replace(/\{\{style\}\}/g, this.getDefaultStyles());
+    return renderTemplate(options.template, {
+      ...options.variables,
+      title,
+      content: new SafeString(htmlContent),
+      style: new SafeString(this.getDefaultStyles())
+    });
+  }
+
+  detect(content) {
+    const trimmed = content.trim();
+    return trimmed.includes('<') && trimmed.includes('>') && /<\/?[a-z][\s\S]*>/i.test(trimmed);
   }
 
   addPdfStyles(fullHtmlContent) {
@@ -1,4 +1,5 @@
-import { loadTemplate } from '../utils/helpers.js';
+import { renderTemplate } from '../utils/helpers.js';
+import { SafeString } from '../utils/templateEngine.js';
 
 class JsonConverter {
   async convert(jsonContent, options = {}) {
@@ -12,14 +13,42 @@ class JsonConverter {
     }
 
     const title = options.title || data.title || '';
-    const template = await loadTemplate('default.html');
     
     const htmlContent = this.jsonToHtml(data, options);
     
-    return template
-      .replace(/\{\{title\}\}/g, this.escapeHtml(title))
-      .replace(/\{\{content\}\}/g, htmlContent)
-      .replace(/\{\{style\}\}/g, this.getDefaultStyles());
+    return renderTemplate(options.template, {
+      ...options.variables,
+      data,
+      title,
+      content: new SafeString(htmlContent),
+      style: new SafeString(this.getDefaultStyles())
+    });
+  }
+
+  extractMetadata(jsonContent) {
+    try {
+      const data = typeof jsonContent === 'string' ? JSON.parse(jsonContent) : jsonContent;
+      // Only a top-level object can carry document fields
+      return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  detect(content) {
+    const trimmed = content.trim();
+    
+    if ((trimmed.startsWith('{') && trimmed.endsWith('}')) || 
+        (trimmed.startsWith('[') && trimmed.endsWith(']'))) {
+      try {
+        JSON.parse(trimmed);
+        return true;
+      } catch (e) {
+        // Not valid JSON
+      }
+    }
+    
+    return false;
   }
 
   jsonToHtml(data, options = {}) {
@@ -1,14 +1,65 @@
-import { marked } from 'marked';
-import { loadTemplate } from '../utils/helpers.js';
+import fs from 'fs/promises';
+import { createRequire } from 'module';
+import { Marked, Renderer } from 'marked';
+import yaml from 'js-yaml';
+import hljs from 'highlight.js/lib/common';
+import { renderTemplate } from '../utils/helpers.js';
+import { SafeString } from '../utils/templateEngine.js';
+import { renderMath, getMathStyles } from '../utils/math.js';
+
+const require = createRequire(import.meta.url);
+
+// Frontmatter keys that set render options, mapped to option names
+const FRONTMATTER_OPTIONS = {
+  format: 'pageFormat',
+  orientation: 'orientation',
+  margin: 'margin',
+  header: 'header',
+  footer: 'footer',
+  watermark: 'watermark',
+  template: 'template',
+  theme: 'codeTheme',
+  codeTheme: 'codeTheme',
+  lineNumbers: 'lineNumbers',
+  codeWrap: 'codeWrap',
+  toc: 'toc',
+  tocDepth: 'tocDepth',
+  tocTitle: 'tocTitle',
+  numberHeadings: 'numberHeadings',
+  math: 'math',
+  equationNumbers: 'equationNumbers',
+  diagrams: 'diagrams',
+  diagramTheme: 'diagramTheme'
+};
+
+// Fence languages drawn as diagrams by PdfGenerator (see generators/diagramRenderer.js)
+const DIAGRAM_LANGUAGES = { mermaid: 'mermaid', dot: 'graphviz', graphviz: 'graphviz' };
+
+// Light highlight.js themes that stay readable on paper
+export const CODE_THEMES = ['github', 'atom-one-light', 'vs', 'xcode', 'stackoverflow-light', 'grayscale', 'none'];
+const themeStyles = new Map();
 
 class MarkdownConverter {
   constructor() {
+    this.headings = [];
+    this.headingIds = new Map();
+    this.codeOptions = {};
+    this.mathOptions = {};
+    this.numberDepth = 0;
+    this.numberStyle = null;
+    this.headingCounters = [];
+    this.resetEquations();
     this.configureMarked();
   }
 
+  // Each converter gets its own Marked instance, so its renderer and extensions
+  // report headings, code and math to this converter rather than the last one built
   configureMarked() {
+    const converter = this;
+    this.marked = new Marked();
+
     // Configure marked options
-    marked.setOptions({
+    this.marked.setOptions({
       breaks: true,
       gfm: true,
       headerIds: true,
@@ -20,7 +71,7 @@ class MarkdownConverter {
     });
 
     // Custom renderer for better PDF output
-    const renderer = new marked.Renderer();
+    const renderer = new Renderer();
 
     // Customize table rendering
     renderer.table = function(header, body) {
@@ -30,18 +81,9 @@ class MarkdownConverter {
       </table>`;
     };
 
-    // Customize code block rendering
-    renderer.code = function(code, language) {
-      const validLang = language && language.match(/^[a-zA-Z0-9-_]+$/);
-      const langClass = validLang ? ` class="language-${language}"` : '';
-      const escapedCode = code.replace(/[&<>"']/g, m => ({
-        '&': '&amp;',
-        '<': '&lt;',
-        '>': '&gt;',
-        '"': '&quot;',
-        "'": '&#039;'
-      })[m]);
-      return `<pre class="code-block"><code${langClass}>${escapedCode}</code></pre>`;
+    // Customize code block rendering; the info string may carry line ranges, e.g. ```js {3-5}
+    renderer.code = function(code, infoString) {
+      return converter.renderCodeBlock(code, infoString || '');
     };
 
     // Customize blockquote rendering
@@ -57,11 +99,75 @@ class MarkdownConverter {
 
     // Customize heading rendering with anchor links
     renderer.heading = function(text, level) {
-      const id = text.toLowerCase().replace(/[^\w]+/g, '-');
-      return `<h${level} id="${id}" class="markdown-heading">${text}</h${level}>`;
+      return converter.renderHeading(text, level);
     };
 
-    marked.use({ renderer });
+    this.marked.use({ renderer });
+
+    // $...$ inline math, $$...$$ display math with an optional {#eq:label}, and @eq:label references.
+    // Math tokens never reach smartypants, so quotes and dashes inside formulas stay intact.
+    this.marked.use({
+      extensions: [
+        {
+          name: 'displayMath',
+          level: 'block',
+          start(src) {
+            return converter.mathOptions.enabled ? src.match(/^\$\$/m)?.index : undefined;
+          },
+          tokenizer(src) {
+            const match = converter.mathOptions.enabled &&
+              src.match(/^\$\$([\s\S]+?)\$\$[ \t]*(?:\{#(eq:[\w-]+)\})?[ \t]*(?:\n+|$)/);
+            if (match) {
+              return { type: 'displayMath', raw: match[0], text: match[1].trim(), label: match[2] };
+            }
+          },
+          renderer(token) {
+            return converter.renderDisplayMath(token);
+          }
+        },
+        {
+          name: 'inlineMath',
+          level: 'inline',
+          start(src) {
+            return converter.mathOptions.enabled ? src.indexOf('$') : undefined;
+          },
+          tokenizer(src) {
+            // No space just inside the delimiters and no digit after, so "$5 and $10" stays text
+            const match = converter.mathOptions.enabled &&
+              src.match(/^\$(?![\s$])((?:\\.|[^\\\n$])+?)(?<!\s)\$(?!\d)/);
+            if (match) {
+              return { type: 'inlineMath', raw: match[0], text: match[1] };
+            }
+          },
+          renderer(token) {
+            converter.hasMath = true;
+            return renderMath(token.text);
+          }
+        },
+        {
+          name: 'equationRef',
+          level: 'inline',
+          start(src) {
+            return converter.mathOptions.enabled ? src.indexOf('@eq:') : undefined;
+          },
+          tokenizer(src) {
+            const match = converter.mathOptions.enabled && src.match(/^@(eq:[\w-]+)/);
+            if (match) {
+              return { type: 'equationRef', raw: match[0], label: match[1] };
+            }
+          },
+          renderer(token) {
+            return converter.renderEquationRef(token.label);
+          }
+        }
+      ],
+      // Runs over the whole document before rendering, so references may point forward
+      walkTokens(token) {
+        if (token.type === 'displayMath') {
+          converter.numberEquation(token);
+        }
+      }
+    });
   }
 
   async convert(markdownContent, options = {}) {
@@ -69,53 +175,422 @@ class MarkdownConverter {
       // Extract frontmatter if present
       const { content, metadata } = this.extractFrontmatter(markdownContent);
       
-      // Convert markdown to HTML
-      const htmlContent = marked(content);
+      // Convert markdown to HTML, collecting headings for the table of contents
+      this.beginDocument(options);
+      const htmlContent = this.insertToc(this.renderMarkdown(content), options);
+      // The converter is shared, so per-document state is read before anything awaits
+      const rendered = { codeOptions: this.codeOptions, hasMath: this.hasMath };
       
       // Determine title
       const title = options.title || metadata.title || this.extractTitleFromContent(content) || '';
       
-      const template = await loadTemplate('default.html');
-      
-      return template
-        .replace(/\{\{title\}\}/g, this.escapeHtml(title))
-        .replace(/\{\{content\}\}/g, htmlContent)
-        .replace(/\{\{style\}\}/g, this.getDefaultStyles());
+      // Frontmatter fields are available to the template alongside explicit variables
+      return renderTemplate(options.template, {
+        ...metadata,
+        ...options.variables,
+        title,
+        content: new SafeString(htmlContent),
+        style: new SafeString(
+          this.getDefaultStyles() +
+          await this.getCodeStyles(rendered.codeOptions) +
+          (rendered.hasMath ? await getMathStyles() : '')
+        )
+      });
         
     } catch (error) {
-      throw new Error(`Markdown conversion failed: ${error.message}`);
+      throw Object.assign(new Error(`Markdown conversion failed: ${error.message}`), {
+        code: error.code,
+        statusCode: error.statusCode
+      });
+    }
+  }
+
+  // Resets per-document state: heading ids, numbering, code, math and equations
+  beginDocument(options = {}) {
+    this.headings = [];
+    this.headingIds = new Map();
+    this.codeOptions = this.resolveCodeOptions(options);
+    this.mathOptions = this.resolveMathOptions(options);
+    this.numberDepth = this.resolveNumberDepth(options.numberHeadings);
+    this.numberStyle = this.numberDepth ? 'decimal' : null;
+    this.headingCounters = [];
+    this.resetEquations();
+  }
+
+  /**
+   * Render one Markdown part of a larger document (see BookBuilder) after beginDocument().
+   * Heading ids, numbering and equation numbers continue across parts. numberStyle is
+   * 'decimal', 'alpha' (A, A.1, ... for appendices) or null for unnumbered parts;
+   * switching style restarts the count.
+   */
+  renderPart(markdownContent, { numberStyle = 'decimal' } = {}) {
+    const { content, metadata } = this.extractFrontmatter(markdownContent);
+    if (numberStyle !== this.numberStyle) {
+      this.headingCounters = [];
+    }
+    this.numberStyle = numberStyle;
+    this.headings = [];
+
+    return { html: this.renderMarkdown(content), headings: this.headings, metadata };
+  }
+
+  renderMarkdown(content) {
+    try {
+      return this.marked.parse(content);
+    } catch (error) {
+      // marked appends a bug-report note to anything a renderer throws; our own errors are the author's to fix
+      if (error.code === 'INVALID_CODE_BLOCK') {
+        throw this.codeBlockError(error.message.split('\n')[0]);
+      }
+      throw error;
+    }
+  }
+
+  detect(content) {
+    const trimmed = content.trim();
+    const markdownPatterns = [
+      /^#{1,6}\s+/, // Headers
+      /^\*\s+/, // Unordered lists
+      /^\d+\.\s+/, // Ordered lists
+      /\*\*.*\*\*/, // Bold
+      /\*.*\*/, // Italic
+      /\[.*\]\(.*\)/, // Links
+      /```/, // Code blocks
+      /^>/, // Blockquotes
+    ];
+    
+    return markdownPatterns.some(pattern => pattern.test(trimmed));
+  }
+
+  slugify(text) {
+    return text.toLowerCase().replace(/[^\w]+/g, '-');
+  }
+
+  createHeadingId(text) {
+    const base = this.slugify(text);
+    
+    // Repeated headings get -1, -2, ... so every TOC link has a unique target
+    const count = this.headingIds.get(base) || 0;
+    this.headingIds.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count}`;
+  }
+
+  renderHeading(text, level) {
+    const id = this.createHeadingId(text);
+    const number = this.numberHeading(level);
+    this.headings.push({ level, text, id, number });
+    const label = number ? `<span class="heading-number">${number}</span>` : '';
+    return `<h${level} id="${id}" class="markdown-heading">${label}${text}</h${level}>`;
+  }
+
+  // numberHeadings: true numbers h1-h3, a number sets the deepest numbered level
+  resolveNumberDepth(numberHeadings) {
+    if (numberHeadings === undefined || numberHeadings === null || numberHeadings === false || numberHeadings === 'false') {
+      return 0;
+    }
+    if (numberHeadings === true || numberHeadings === 'true') {
+      return 3;
+    }
+    const depth = Number(numberHeadings);
+    if (!Number.isInteger(depth) || depth < 1 || depth > 6) {
+      throw new Error(`Invalid numberHeadings: ${numberHeadings}. Use true, false or a depth from 1 to 6`);
+    }
+    return depth;
+  }
+
+  // 1, 1.1, 1.2, 2, ...; a level skipped on the way down counts as 0
+  numberHeading(level) {
+    if (!this.numberStyle || level > this.numberDepth) {
+      return null;
+    }
+    const counters = this.headingCounters;
+    counters.length = level;
+    counters[level - 1] = (counters[level - 1] || 0) + 1;
+
+    const [first, ...rest] = Array.from(counters, counter => counter || 0);
+    const top = this.numberStyle === 'alpha' ? String.fromCharCode(64 + first) : String(first);
+    return [top, ...rest].join('.');
+  }
+
+  insertToc(htmlContent, options = {}) {
+    const markerPattern = /<p>\s*\[\[toc\]\]\s*<\/p>/gi;
+    const hasMarker = markerPattern.test(htmlContent);
+    const disabled = options.toc === false || options.toc === 'false';
+    
+    if (disabled || (!hasMarker && !options.toc)) {
+      return htmlContent.replace(markerPattern, '');
+    }
+    
+    // toc: true uses tocDepth (default 3); toc: 2 limits the TOC to h1-h2
+    const depth = /^\d+$/.test(String(options.toc)) ? Number(options.toc) : Number(options.tocDepth) || 3;
+    const toc = this.buildToc(this.headings, depth, options.tocTitle);
+    
+    if (!hasMarker) {
+      return toc + htmlContent;
+    }
+    
+    let inserted = false;
+    return htmlContent.replace(markerPattern, () => {
+      if (inserted) {
+        return '';
+      }
+      inserted = true;
+      return toc;
+    });
+  }
+
+  buildToc(headings, depth, title = 'Contents') {
+    const entries = headings.filter(heading => heading.level <= depth);
+    if (entries.length === 0) {
+      return '';
+    }
+    
+    const minLevel = Math.min(...entries.map(heading => heading.level));
+    let currentLevel = minLevel - 1;
+    let html = '';
+    
+    entries.forEach(({ level, text, id, number }) => {
+      if (level > currentLevel) {
+        html += '<ol class="toc-list">'.repeat(level - currentLevel);
+      } else {
+        html += '</li>' + '</ol></li>'.repeat(currentLevel - level);
+      }
+      
+      // Page numbers are filled in after a first render pass, see PdfGenerator.resolvePageReferences
+      html += `<li class="toc-item toc-level-${level}"><a href="#${id}">` +
+        `<span class="toc-text">${number ? `<span class="toc-number">${number}</span>` : ''}${text.replace(/<[^>]+>/g, '')}</span>` +
+        `<span class="toc-leader"></span>` +
+        `<span class="toc-page" data-page-ref="${id}"></span></a>`;
+      currentLevel = level;
+    });
+    
+    html += '</li>' + '</ol></li>'.repeat(currentLevel - minLevel) + '</ol>';
+    
+    return `<nav class="toc">${title ? `<div class="toc-title">${this.escapeHtml(title)}</div>` : ''}${html}</nav>`;
+  }
+
+  resolveCodeOptions(options = {}) {
+    const theme = options.codeTheme || 'github';
+    if (!CODE_THEMES.includes(theme)) {
+      throw new Error(`Unknown code theme: ${theme}. Available themes: ${CODE_THEMES.join(', ')}`);
+    }
+
+    return {
+      theme,
+      diagrams: options.diagrams !== false && options.diagrams !== 'false',
+      lineNumbers: options.lineNumbers === true || options.lineNumbers === 'true',
+      // Wrap by default: a PDF page cannot scroll, so long lines would be clipped
+      wrap: options.codeWrap !== false && options.codeWrap !== 'false'
+    };
+  }
+
+  resolveMathOptions(options = {}) {
+    const numbering = options.equationNumbers || 'labelled';
+    if (!['labelled', 'all', 'none'].includes(numbering)) {
+      throw new Error(`Invalid equationNumbers: ${numbering}. Use labelled, all or none`);
+    }
+
+    return {
+      enabled: options.math !== false && options.math !== 'false',
+      numbering
+    };
+  }
+
+  resetEquations() {
+    this.equations = new Map();
+    this.equationCount = 0;
+    this.hasMath = false;
+  }
+
+  numberEquation(token) {
+    const { numbering } = this.mathOptions;
+    if (numbering === 'all' || (numbering === 'labelled' && token.label)) {
+      token.number = ++this.equationCount;
+    }
+    if (token.label && token.number && !this.equations.has(token.label)) {
+      this.equations.set(token.label, token.number);
+    }
+  }
+
+  renderDisplayMath(token) {
+    this.hasMath = true;
+    const id = token.label ? ` id="${token.label.replace(':', '-')}"` : '';
+    return `<div class="math-display"${id}>${renderMath(token.text, { displayMode: true, tag: token.number })}</div>\n`;
+  }
+
+  renderEquationRef(label) {
+    const number = this.equations.get(label);
+    if (!number) {
+      // Same marker LaTeX prints for an undefined reference
+      return `<span class="eq-ref eq-ref-missing" title="Unknown equation ${label}">(??)</span>`;
+    }
+    return `<a class="eq-ref" href="#${label.replace(':', '-')}">(${number})</a>`;
+  }
+
+  renderCodeBlock(code, infoString) {
+    const language = (infoString.match(/^[a-zA-Z0-9-_+#]+/) || [''])[0];
+    if (this.codeOptions.diagrams && DIAGRAM_LANGUAGES[language.toLowerCase()]) {
+      return this.renderDiagramBlock(code, DIAGRAM_LANGUAGES[language.toLowerCase()], infoString);
     }
+
+    const rangeMatch = infoString.match(/\{([\d\s,-]+)\}/);
+    const highlightedLines = rangeMatch ? this.parseLineRanges(rangeMatch[1], code.split('\n').length) : new Set();
+    const { theme, lineNumbers, wrap } = this.codeOptions;
+
+    const canHighlight = theme !== 'none' && language && hljs.getLanguage(language);
+    const html = canHighlight
+      ? hljs.highlight(code, { language, ignoreIllegals: true }).value
+      : this.escapeHtml(code);
+
+    const classes = ['code-block', wrap && 'code-wrap', lineNumbers && 'code-numbered'].filter(Boolean).join(' ');
+    const codeClasses = [canHighlight && 'hljs', language && `language-${language}`].filter(Boolean).join(' ');
+    const codeClass = codeClasses ? ` class="${codeClasses}"` : '';
+
+    if (!lineNumbers && highlightedLines.size === 0) {
+      return `<pre class="${classes}"><code${codeClass}>${html}</code></pre>`;
+    }
+
+    const lines = this.splitHighlightedLines(html).map((line, index) => {
+      const number = index + 1;
+      const lineClass = highlightedLines.has(number) ? 'code-line code-line-highlight' : 'code-line';
+      const gutter = lineNumbers ? `<span class="code-line-number">${number}</span>` : '';
+      return `<span class="${lineClass}">${gutter}<span class="code-line-content">${line}</span></span>`;
+    });
+
+    // Lines are block elements, so no newline between them
+    return `<pre class="${classes}"><code${codeClass}>${lines.join('')}</code></pre>`;
+  }
+
+  // ```mermaid {width=60% align=left} or ```dot {engine=neato height=8cm}
+  renderDiagramBlock(code, kind, infoString) {
+    const attributes = (infoString.match(/\{([^}]*)\}/) || ['', ''])[1];
+    const data = Array.from(attributes.matchAll(/(width|height|align|engine)=("[^"]*"|[^\s]+)/g))
+      .map(([, name, value]) => ` data-${name}="${this.escapeHtml(value.replace(/^"|"$/g, ''))}"`)
+      .join('');
+
+    return `<pre class="${kind}"${data}>${this.escapeHtml(code)}</pre>\n`;
+  }
+
+  // Ranges are checked against the block's own length before they are expanded
+  parseLineRanges(ranges, lineCount) {
+    const lines = new Set();
+    ranges.split(',').map(range => range.trim()).filter(Boolean).forEach(range => {
+      const match = range.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+      const start = match ? Number(match[1]) : NaN;
+      const end = match && match[2] !== undefined ? Number(match[2]) : start;
+      if (!match || start < 1 || end < start) {
+        throw this.codeBlockError(`Invalid line range {${range}}: use line numbers such as 3 or 3-5`);
+      }
+      if (start > lineCount) {
+        throw this.codeBlockError(`Invalid line range {${range}}: the code block has ${lineCount} lines`);
+      }
+      for (let line = start; line <= Math.min(end, lineCount); line++) {
+        lines.add(line);
+      }
+    });
+    return lines;
+  }
+
+  // Highlighted spans can cross line breaks (block comments, template strings);
+  // close them at the end of each line and reopen them on the next
+  splitHighlightedLines(html) {
+    const lines = [];
+    const open = [];
+    let current = '';
+
+    for (const [token] of html.matchAll(/<span[^>]*>|<\/span>|\n|[^<\n]+/g)) {
+      if (token === '\n') {
+        lines.push(current + '</span>'.repeat(open.length));
+        current = open.join('');
+      } else {
+        if (token.startsWith('</span')) {
+          open.pop();
+        } else if (token.startsWith('<span')) {
+          open.push(token);
+        }
+        current += token;
+      }
+    }
+    lines.push(current);
+
+    return lines;
+  }
+
+  async getCodeStyles({ theme }) {
+    if (theme === 'none') {
+      return '';
+    }
+    if (!themeStyles.has(theme)) {
+      themeStyles.set(theme, await fs.readFile(require.resolve(`highlight.js/styles/${theme}.css`), 'utf-8'));
+    }
+    return themeStyles.get(theme);
   }
 
   extractFrontmatter(content) {
-    const frontmatterRegex = /^---\s*\n([\s\S]*?)\n---\s*\n([\s\S]*)$/;
+    const frontmatterRegex = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)([\s\S]*)$/;
     const match = content.match(frontmatterRegex);
     
     if (!match) {
       return { content, metadata: {} };
     }
 
+    let metadata;
     try {
-      // Simple YAML parsing for basic key-value pairs
-      const frontmatterText = match[1];
-      const metadata = {};
-      
-      frontmatterText.split('\n').forEach(line => {
-        const colonIndex = line.indexOf(':');
-        if (colonIndex > 0) {
-          const key = line.substring(0, colonIndex).trim();
-          const value = line.substring(colonIndex + 1).trim().replace(/^["']|["']$/g, '');
-          metadata[key] = value;
-        }
-      });
-
-      return {
-        content: match[2],
-        metadata
-      };
+      // CORE_SCHEMA keeps dates as the strings the author wrote
+      metadata = yaml.load(match[1] || '', { schema: yaml.CORE_SCHEMA }) ?? {};
     } catch (error) {
-      return { content, metadata: {} };
+      // The opening --- is line 1 of the file
+      const line = error.mark ? ` at line ${error.mark.line + 2}` : '';
+      throw this.frontmatterError(`Invalid frontmatter${line}: ${error.reason || error.message}`);
+    }
+
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+      throw this.frontmatterError('Invalid frontmatter: expected key: value pairs');
+    }
+
+    return {
+      content: match[2],
+      metadata
+    };
+  }
+
+  frontmatterError(message) {
+    return Object.assign(new Error(message), { code: 'INVALID_FRONTMATTER', statusCode: 400 });
+  }
+
+  codeBlockError(message) {
+    return Object.assign(new Error(message), { code: 'INVALID_CODE_BLOCK', statusCode: 400 });
+  }
+
+  // Render options set by the document itself; explicit options override them
+  extractOptions(markdownContent) {
+    const { metadata } = this.extractFrontmatter(markdownContent);
+    const options = {};
+
+    for (const [key, option] of Object.entries(FRONTMATTER_OPTIONS)) {
+      if (metadata[key] !== undefined && metadata[key] !== null) {
+        options[option] = metadata[key];
+      }
+    }
+
+    if (options.orientation && !['portrait', 'landscape'].includes(options.orientation)) {
+      throw this.frontmatterError(`Invalid frontmatter orientation: ${options.orientation}. Use portrait or landscape`);
     }
+    // margin: 2cm is shorthand for all four sides
+    if (typeof options.margin === 'string' || typeof options.margin === 'number') {
+      const side = String(options.margin);
+      options.margin = { top: side, right: side, bottom: side, left: side };
+    }
+
+    return options;
+  }
+
+  extractMetadata(markdownContent) {
+    const { content, metadata } = this.extractFrontmatter(markdownContent);
+    return {
+      ...metadata,
+      title: metadata.title || this.extractTitleFromContent(content) || undefined
+    };
   }
 
   extractTitleFromContent(content) {
@@ -274,6 +749,42 @@ class MarkdownConverter {
         overflow: visible;
       }
       
+      /* Theme styles only color tokens; the block keeps its own box */
+      .code-block code.hljs {
+        padding: 0;
+        background: transparent;
+      }
+      
+      .code-block.code-wrap code {
+        white-space: pre-wrap;
+        overflow-wrap: anywhere;
+      }
+      
+      .code-line {
+        display: flex;
+        min-height: 1.45em;
+      }
+      
+      .code-line-content {
+        flex: 1;
+        min-width: 0;
+      }
+      
+      .code-line-number {
+        flex: none;
+        width: 2.5em;
+        padding-right: 1em;
+        text-align: right;
+        color: #959da5;
+        user-select: none;
+      }
+      
+      .code-line-highlight {
+        background-color: #fff8c5;
+        margin: 0 -16px;
+        padding: 0 16px;
+      }
+      
       /* Blockquotes */
       .markdown-blockquote {
         padding: 0 1em;
@@ -316,6 +827,56 @@ class MarkdownConverter {
         vertical-align: middle;
       }
       
+      /* Table of contents */
+      .toc {
+        margin-bottom: 32px;
+      }
+      
+      .toc-title {
+        font-size: 1.5em;
+        font-weight: 600;
+        margin-bottom: 12px;
+      }
+      
+      .toc-list {
+        list-style: none;
+        padding-left: 0;
+        margin: 0;
+      }
+      
+      .toc-list .toc-list {
+        padding-left: 1.5em;
+      }
+      
+      .toc-item a {
+        display: flex;
+        align-items: baseline;
+        color: inherit;
+        padding: 2px 0;
+      }
+      
+      .toc-leader {
+        flex: 1;
+        border-bottom: 1px dotted #c0c4c8;
+        margin: 0 0.5em;
+      }
+      
+      .toc-page {
+        min-width: 2.5em;
+        text-align: right;
+        font-variant-numeric: tabular-nums;
+      }
+      
+      .toc-level-1 > a {
+        font-weight: 600;
+      }
+      
+      /* Heading numbers */
+      .heading-number,
+      .toc-number {
+        margin-right: 0.5em;
+      }
+      
       /* Print styles */
       @media print {
         body {
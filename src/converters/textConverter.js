@@ -1,4 +1,5 @@
-import { loadTemplate } from '../utils/helpers.js';
+import { renderTemplate } from '../utils/helpers.js';
+import { SafeString } from '../utils/templateEngine.js';
 
 class TextConverter {
   async convert(textContent, options = {}) {
@@ -14,12 +15,12 @@ class TextConverter {
 
     const title = options.title || '';
     
-    const template = await loadTemplate('default.html');
-    
-    return template
-      .replace(/\{\{title\}\}/g, this.escapeHtml(title))
-      .replace(/\{\{content\}\}/g, paragraphs)
-      .replace(/\{\{style\}\}/g, this.getDefaultStyles());
+    return renderTemplate(options.template, {
+      ...options.variables,
+      title,
+      content: new SafeString(paragraphs),
+      style: new SafeString(this.getDefaultStyles())
+    });
   }
 
   escapeHtml(text) {
@@ -0,0 +1,141 @@
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Renderers are injected from node_modules, so pages never load them from a CDN
+const SCRIPTS = {
+  mermaid: require.resolve('mermaid/dist/mermaid.min.js'),
+  graphviz: path.join(path.dirname(require.resolve('@viz-js/viz')), 'viz-global.js')
+};
+
+// A page that already ran Mermaid itself marks its blocks data-processed
+export const DIAGRAM_SELECTOR = 'pre.mermaid:not([data-processed]), pre.graphviz';
+
+const DIAGRAM_TIMEOUT = 30000;
+
+const DIAGRAM_STYLES = `
+  .diagram {
+    margin: 1em 0;
+    text-align: center;
+    page-break-inside: avoid;
+  }
+
+  .diagram-left { text-align: left; }
+  .diagram-right { text-align: right; }
+
+  .diagram svg {
+    max-width: 100%;
+    height: auto;
+  }
+
+  .diagram-error {
+    text-align: left;
+    border: 1px solid #e74c3c;
+    border-left-width: 4px;
+    background: #fdf2f2;
+    color: #922b21;
+    padding: 8px 12px;
+    font-size: 12px;
+  }
+
+  .diagram-error pre {
+    margin: 6px 0 0;
+    white-space: pre-wrap;
+    font-size: 11px;
+  }
+`;
+
+/**
+ * Replace <pre class="mermaid"> and <pre class="graphviz"> blocks with inline SVG.
+ * Blocks may set data-width, data-height, data-align and (Graphviz) data-engine.
+ * Invalid diagrams become an error box instead of failing the whole document.
+ */
+export async function renderDiagrams(page, { theme = 'neutral' } = {}) {
+  const present = await page.evaluate(() => ({
+    mermaid: Boolean(document.querySelector('pre.mermaid:not([data-processed])')),
+    graphviz: Boolean(document.querySelector('pre.graphviz'))
+  }));
+
+  for (const [kind, scriptPath] of Object.entries(SCRIPTS)) {
+    if (present[kind]) {
+      await page.addScriptTag({ path: scriptPath });
+    }
+  }
+  await page.addStyleTag({ content: DIAGRAM_STYLES });
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Diagram rendering timed out after ${DIAGRAM_TIMEOUT}ms`)), DIAGRAM_TIMEOUT);
+  });
+
+  try {
+    await Promise.race([timeout, page.evaluate(renderInPage, { theme })]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Runs inside the page
+async function renderInPage({ theme }) {
+  const replace = (element, html, className) => {
+    const figure = document.createElement('figure');
+    const align = element.dataset.align;
+    figure.className = ['diagram', className, align && `diagram-${align}`].filter(Boolean).join(' ');
+    figure.innerHTML = html;
+
+    const svg = figure.querySelector('svg');
+    if (svg) {
+      if (element.dataset.width) {
+        svg.style.width = element.dataset.width;
+        svg.style.maxWidth = '100%';
+      }
+      if (element.dataset.height) {
+        svg.style.height = element.dataset.height;
+        svg.style.width = element.dataset.width || 'auto';
+      }
+    }
+    element.replaceWith(figure);
+    return figure;
+  };
+
+  const showError = (element, label, error) => {
+    const title = document.createElement('strong');
+    title.textContent = `${label} diagram could not be rendered`;
+    const message = document.createElement('pre');
+    message.textContent = String(error?.message || error).trim();
+    replace(element, '', 'diagram-error').append(title, message);
+  };
+
+  const mermaidBlocks = Array.from(document.querySelectorAll('pre.mermaid:not([data-processed])'));
+  if (mermaidBlocks.length > 0) {
+    window.mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme });
+    for (const [index, element] of mermaidBlocks.entries()) {
+      const id = `mermaid-diagram-${index}`;
+      try {
+        const { svg } = await window.mermaid.render(id, element.textContent);
+        replace(element, svg);
+      } catch (error) {
+        showError(element, 'Mermaid', error);
+      } finally {
+        // Mermaid leaves its scratch container behind when parsing fails
+        document.getElementById(`d${id}`)?.remove();
+      }
+    }
+  }
+
+  const graphvizBlocks = Array.from(document.querySelectorAll('pre.graphviz'));
+  if (graphvizBlocks.length > 0) {
+    const viz = await window.Viz.instance();
+    for (const element of graphvizBlocks) {
+      try {
+        replace(element, viz.renderString(element.textContent, {
+          format: 'svg',
+          engine: element.dataset.engine || 'dot'
+        }));
+      } catch (error) {
+        showError(element, 'Graphviz', error);
+      }
+    }
+  }
+}
@@ -0,0 +1,94 @@
+import { renderTemplateString } from '../utils/helpers.js';
+
+// Chromium fills elements with the classes pageNumber, totalPages, date, title and url
+export const PRESETS = {
+  'page-x-of-y': '<div class="hf hf-center">Page <span class="pageNumber"></span> of <span class="totalPages"></span></div>',
+  'page-number': '<div class="hf hf-center"><span class="pageNumber"></span></div>',
+  'title-date': '<div class="hf hf-split"><span>{{title}}</span><span>{{formatDate date "D MMMM YYYY"}}</span></div>',
+  'title-page': '<div class="hf hf-split"><span>{{title}}</span><span><span class="pageNumber"></span> / <span class="totalPages"></span></span></div>',
+  'author-date': '<div class="hf hf-split"><span>{{author}}</span><span>{{formatDate date "D MMMM YYYY"}}</span></div>',
+  'confidential': '<div class="hf hf-center hf-confidential">CONFIDENTIAL{{#if recipient}} – {{recipient}}{{/if}}</div>'
+};
+
+// Space reserved for a header or footer so it never overlaps body text
+export const MIN_MARGIN = '2cm';
+
+const UNIT_TO_PX = {
+  px: 1,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  pt: 96 / 72
+};
+
+export function toPixels(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const match = String(value || '').trim().match(/^(-?\d*\.?\d+)\s*(px|in|cm|mm|pt)?$/);
+  if (!match) {
+    return 0;
+  }
+  return Number(match[1]) * UNIT_TO_PX[match[2] || 'px'];
+}
+
+function getStyles(margin) {
+  // Header and footer templates do not inherit page styles and default to a zero font size
+  return `<style>
+    .hf {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 9px;
+      color: #555;
+      width: 100%;
+      padding: 0 ${margin.right || '1cm'} 0 ${margin.left || '1cm'};
+      -webkit-print-color-adjust: exact;
+    }
+    .hf-center { text-align: center; }
+    .hf-split { display: flex; justify-content: space-between; }
+    .hf-confidential {
+      color: #c0392b;
+      font-weight: bold;
+      letter-spacing: 0.2em;
+    }
+  </style>`;
+}
+
+async function renderSlot(value, variables) {
+  // A preset name, or a custom template string using the same variables
+  const template = PRESETS[value] || (String(value).includes('<') ? value : null);
+  if (!template) {
+    throw Object.assign(
+      new Error(`Unknown header/footer preset: ${value}. Available presets: ${Object.keys(PRESETS).join(', ')}`),
+      { code: 'INVALID_OPTIONS', statusCode: 400 }
+    );
+  }
+  return renderTemplateString(template, variables);
+}
+
+/**
+ * Turn header/footer options (preset names or templates) into Puppeteer PDF options.
+ * Returns an empty object when neither is set so explicit headerTemplate/footerTemplate still apply.
+ */
+export async function buildHeaderFooter(options = {}, variables = {}) {
+  const { header, footer } = options;
+  if (!header && !footer) {
+    return {};
+  }
+
+  const margin = { top: '1cm', right: '1cm', bottom: '1cm', left: '1cm', ...options.margin };
+  if (header && toPixels(margin.top) < toPixels(MIN_MARGIN)) {
+    margin.top = MIN_MARGIN;
+  }
+  if (footer && toPixels(margin.bottom) < toPixels(MIN_MARGIN)) {
+    margin.bottom = MIN_MARGIN;
+  }
+
+  const styles = getStyles(margin);
+  return {
+    displayHeaderFooter: true,
+    // An empty template would make Chromium print its default date/title line
+    headerTemplate: header ? styles + await renderSlot(header, variables) : '<span></span>',
+    footerTemplate: footer ? styles + await renderSlot(footer, variables) : '<span></span>',
+    margin
+  };
+}
@@ -0,0 +1,129 @@
+export class QueueFullError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueueFullError';
+    this.code = 'QUEUE_FULL';
+    this.statusCode = 503;
+  }
+}
+
+class PagePool {
+  constructor(getBrowser, options = {}) {
+    this.getBrowser = getBrowser;
+    this.maxConcurrency = options.maxConcurrency || 4;
+    this.maxQueueSize = options.maxQueueSize ?? 50;
+    this.maxRendersPerPage = options.maxRendersPerPage || 50;
+
+    this.idle = [];
+    this.waiting = [];
+    this.inUse = 0;
+  }
+
+  async acquire() {
+    await this.reserve();
+
+    try {
+      return await this.checkout();
+    } catch (error) {
+      this.freeSlot();
+      throw error;
+    }
+  }
+
+  // Waits for a render slot without taking a page
+  async reserve() {
+    if (this.inUse < this.maxConcurrency) {
+      this.inUse++;
+    } else {
+      if (this.waiting.length >= this.maxQueueSize) {
+        throw new QueueFullError(
+          `Render queue is full (${this.waiting.length} waiting, ${this.maxConcurrency} rendering). Try again later.`
+        );
+      }
+      // The releasing render hands its slot straight to us
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+  }
+
+  async checkout() {
+    while (this.idle.length > 0) {
+      const entry = this.idle.pop();
+      if (!entry.page.isClosed()) {
+        return entry;
+      }
+    }
+
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+    return { page, renders: 0 };
+  }
+
+  release(entry, { destroy = false } = {}) {
+    entry.renders++;
+
+    if (destroy || entry.renders >= this.maxRendersPerPage || entry.page.isClosed()) {
+      this.closePage(entry.page);
+    } else {
+      this.idle.push(entry);
+    }
+
+    this.freeSlot();
+  }
+
+  freeSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.inUse--;
+    }
+  }
+
+  async withPage(task) {
+    const entry = await this.acquire();
+    let failed = false;
+
+    try {
+      return await task(entry.page);
+    } catch (error) {
+      // A page that failed mid-render may be left in a bad state
+      failed = true;
+      throw error;
+    } finally {
+      this.release(entry, { destroy: failed });
+    }
+  }
+
+  // Renders that bring a page of their own (see PdfGenerator.generateFromUrl) still count against the limit
+  async withSlot(task) {
+    await this.reserve();
+    try {
+      return await task();
+    } finally {
+      this.freeSlot();
+    }
+  }
+
+  closePage(page) {
+    if (!page.isClosed()) {
+      page.close().catch(() => {});
+    }
+  }
+
+  clear() {
+    this.idle.forEach(entry => this.closePage(entry.page));
+    this.idle = [];
+  }
+
+  stats() {
+    return {
+      active: this.inUse,
+      idle: this.idle.length,
+      queued: this.waiting.length,
+      maxConcurrency: this.maxConcurrency,
+      maxQueueSize: this.maxQueueSize
+    };
+  }
+}
+
+export default PagePool;
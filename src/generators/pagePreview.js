@@ -0,0 +1,130 @@
+import { createRequire } from 'module';
+import { PDFDocument } from 'pdf-lib';
+import { parsePageRanges } from '../utils/pdfTools.js';
+
+const require = createRequire(import.meta.url);
+
+// pdf.js rasterizes inside the browser; with its worker script loaded as well it runs
+// on the page's main thread, so no worker URL has to be reachable from about:blank
+const SCRIPTS = [
+  require.resolve('pdfjs-dist/build/pdf.min.js'),
+  require.resolve('pdfjs-dist/build/pdf.worker.min.js')
+];
+
+export const PREVIEW_FORMATS = ['png', 'jpeg'];
+
+const MIN_WIDTH = 16;
+const MAX_WIDTH = 4000;
+export const MAX_PREVIEW_PAGES = 50;
+const JPEG_QUALITY = 0.9;
+
+// CSS pixels per PDF point, i.e. 96 dpi
+const ACTUAL_SIZE = 96 / 72;
+
+export function previewFilename(image) {
+  return `page-${image.page}.${image.format === 'jpeg' ? 'jpg' : 'png'}`;
+}
+
+function invalidPreview(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_OPTIONS', statusCode: 400 });
+}
+
+/**
+ * Validate { pages, width, format }: pages is a selection such as "1", "1-3,5" or
+ * "all" (default: the first page), width the image width in pixels (default: the
+ * page's own size at 96 dpi) and format png (default) or jpeg.
+ */
+export function resolvePreviewOptions({ pages = '1', width, format = 'png' } = {}) {
+  const normalizedFormat = String(format).toLowerCase() === 'jpg' ? 'jpeg' : String(format).toLowerCase();
+  if (!PREVIEW_FORMATS.includes(normalizedFormat)) {
+    throw invalidPreview(`Invalid preview format: ${format}. Use png or jpeg`);
+  }
+
+  let pixelWidth = null;
+  if (width !== undefined && width !== null && width !== '') {
+    pixelWidth = Number(width);
+    if (!Number.isInteger(pixelWidth) || pixelWidth < MIN_WIDTH || pixelWidth > MAX_WIDTH) {
+      throw invalidPreview(`Invalid preview width: ${width}. Use a whole number of pixels from ${MIN_WIDTH} to ${MAX_WIDTH}`);
+    }
+  }
+
+  return { pages: String(pages), width: pixelWidth, format: normalizedFormat };
+}
+
+/**
+ * Render selected pages of a PDF to images on a browser page. Every page keeps
+ * its own size and orientation; width scales each image to that many pixels wide.
+ * Returns { pageCount, images: [{ page, width, height, format, buffer }] }.
+ */
+export async function renderPdfPages(page, pdfBuffer, options = {}) {
+  const { pages, width, format } = resolvePreviewOptions(options);
+  const pageCount = (await PDFDocument.load(pdfBuffer, { updateMetadata: false })).getPageCount();
+  const selected = parsePageRanges(pages, pageCount).map(index => index + 1);
+  if (selected.length === 0) {
+    throw invalidPreview(`No pages selected by "${pages}"; the document has ${pageCount}`);
+  }
+  if (selected.length > MAX_PREVIEW_PAGES) {
+    throw invalidPreview(`Too many preview pages: ${selected.length} (limit: ${MAX_PREVIEW_PAGES})`);
+  }
+
+  await page.setContent('<!DOCTYPE html><html><body></body></html>');
+  for (const scriptPath of SCRIPTS) {
+    await page.addScriptTag({ path: scriptPath });
+  }
+
+  const rendered = await page.evaluate(rasterizeInPage, {
+    data: Buffer.from(pdfBuffer).toString('base64'),
+    pages: selected,
+    width,
+    scale: ACTUAL_SIZE,
+    type: `image/${format}`,
+    quality: JPEG_QUALITY
+  });
+
+  return {
+    pageCount,
+    images: rendered.map(image => ({
+      page: image.page,
+      width: image.width,
+      height: image.height,
+      format,
+      buffer: Buffer.from(image.data, 'base64')
+    }))
+  };
+}
+
+// Runs inside the page
+async function rasterizeInPage({ data, pages, width, scale, type, quality }) {
+  const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0));
+  const pdf = await window.pdfjsLib.getDocument({ data: bytes, isEvalSupported: false }).promise;
+  const images = [];
+
+  try {
+    for (const number of pages) {
+      const pdfPage = await pdf.getPage(number);
+      const natural = pdfPage.getViewport({ scale: 1 });
+      const viewport = pdfPage.getViewport({ scale: width ? width / natural.width : scale });
+
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(viewport.width);
+      canvas.height = Math.round(viewport.height);
+      const context = canvas.getContext('2d');
+      // Pages without a background would come out transparent (PNG) or black (JPEG)
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+
+      await pdfPage.render({ canvasContext: context, viewport }).promise;
+      images.push({
+        page: number,
+        width: canvas.width,
+        height: canvas.height,
+        data: canvas.toDataURL(type, quality).split(',')[1]
+      });
+      pdfPage.cleanup();
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  return images;
+}
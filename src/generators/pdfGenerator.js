@@ -1,92 +1,190 @@
 import puppeteer from 'puppeteer';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import PagePool from './pagePool.js';
+import UrlPolicy, { UrlPolicyError } from '../utils/urlPolicy.js';
+import PolicyProxy from '../utils/policyProxy.js';
+import { getNamedDestinationPages } from '../utils/pdfTools.js';
+import { renderDiagrams, DIAGRAM_SELECTOR } from './diagramRenderer.js';
+import { renderPdfPages } from './pagePreview.js';
+import { browserRestarts } from '../utils/metrics.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 class PdfGenerator {
-  constructor() {
+  constructor(poolOptions = {}) {
     this.browser = null;
+    this.browserLaunch = null;
+    this.pool = new PagePool(() => this.initBrowser(), poolOptions);
   }
 
   async initBrowser() {
-    if (!this.browser) {
-      this.browser = await puppeteer.launch({
+    if (this.browser) {
+      return this.browser;
+    }
+
+    // Concurrent renders share a single launch
+    if (!this.browserLaunch) {
+      this.browserLaunch = puppeteer.launch({
         headless: 'new',
         args: ['--no-sandbox', '--disable-setuid-sandbox']
+      }).then(browser => {
+        browser.on('disconnected', () => {
+          // close() clears this.browser first, so only crashes are counted here
+          if (this.browser === browser) {
+            this.browser = null;
+            this.pool.clear();
+            browserRestarts.inc();
+          }
+        });
+        this.browser = browser;
+        return browser;
+      }).finally(() => {
+        this.browserLaunch = null;
       });
     }
-    return this.browser;
+
+    return this.browserLaunch;
   }
 
-  async generateFromHTML(htmlContent, options = {}) {
-    const browser = await this.initBrowser();
-    const page = await browser.newPage();
+  buildPdfOptions(options = {}) {
+    return {
+      format: options.format || 'A4',
+      landscape: options.landscape === true || options.orientation === 'landscape',
+      margin: options.margin || {
+        top: '1cm',
+        right: '1cm',
+        bottom: '1cm',
+        left: '1cm'
+      },
+      printBackground: options.printBackground !== false,
+      preferCSSPageSize: options.preferCSSPageSize !== false,
+      displayHeaderFooter: options.displayHeaderFooter || false,
+      headerTemplate: options.headerTemplate || '',
+      footerTemplate: options.footerTemplate || ''
+    };
+  }
 
-    try {
+  async generateFromHTML(htmlContent, options = {}) {
+    return this.pool.withPage(async (page) => {
       // Set default PDF options
-      const pdfOptions = {
-        format: options.format || 'A4',
-        margin: options.margin || {
-          top: '1cm',
-          right: '1cm',
-          bottom: '1cm',
-          left: '1cm'
-        },
-        printBackground: options.printBackground !== false,
-        preferCSSPageSize: options.preferCSSPageSize !== false,
-        displayHeaderFooter: options.displayHeaderFooter || false,
-        headerTemplate: options.headerTemplate || '',
-        footerTemplate: options.footerTemplate || ''
-      };
+      const pdfOptions = this.buildPdfOptions(options);
 
       // Set content
       await page.setContent(htmlContent, {
         waitUntil: 'networkidle0'
       });
 
+      // Diagrams change the layout, so they are drawn before page numbers are measured
+      if (options.diagrams !== false && await page.$(DIAGRAM_SELECTOR)) {
+        await renderDiagrams(page, { theme: options.diagramTheme });
+      }
+
+      // Fill in page numbers (e.g. table of contents entries) from a first pass
+      if (await page.$('[data-page-ref]')) {
+        await this.resolvePageReferences(page, pdfOptions);
+      }
+
       // Generate PDF
       const pdfBuffer = await page.pdf(pdfOptions);
 
       return pdfBuffer;
+    });
+  }
 
-    } finally {
-      await page.close();
-    }
+  async resolvePageReferences(page, pdfOptions) {
+    const draft = await page.pdf(pdfOptions);
+    const destinationPages = await getNamedDestinationPages(draft);
+
+    // Placeholders reserve their width, so filling them in does not move any content
+    await page.evaluate((pages) => {
+      document.querySelectorAll('[data-page-ref]').forEach(element => {
+        const pageNumber = pages[element.getAttribute('data-page-ref')];
+        element.textContent = pageNumber ? String(pageNumber) : '';
+      });
+    }, destinationPages);
   }
 
-  async generateFromUrl(url, options = {}) {
-    const browser = await this.initBrowser();
-    const page = await browser.newPage();
+  /**
+   * Page images instead of a PDF. options.pages, width and format select the
+   * pages and image type (see pagePreview.js); since format means the image type
+   * here, the page size is pageFormat. Other options are the usual PDF options.
+   */
+  async generatePreview(htmlContent, options = {}) {
+    const { pages, width, format, pageFormat, ...pdfOptions } = options;
+    const pdfBuffer = await this.generateFromHTML(htmlContent, { ...pdfOptions, format: pageFormat });
+    return this.renderPages(pdfBuffer, { pages, width, format });
+  }
 
-    try {
-      await page.goto(url, { waitUntil: 'networkidle0' });
-      
-      const pdfOptions = {
-        format: options.format || 'A4',
-        margin: options.margin || {
-          top: '1cm',
-          right: '1cm',
-          bottom: '1cm',
-          left: '1cm'
-        },
-        printBackground: options.printBackground !== false,
-        preferCSSPageSize: options.preferCSSPageSize !== false
-      };
+  // Images of an existing PDF, e.g. one the engine has watermarked
+  async renderPages(pdfBuffer, options = {}) {
+    return this.pool.withPage(page => renderPdfPages(page, pdfBuffer, options));
+  }
 
-      const pdfBuffer = await page.pdf(pdfOptions);
-      return pdfBuffer;
+  async generateFromUrl(url, options = {}, policy = new UrlPolicy()) {
+    return this.pool.withSlot(async () => {
+      // A context of its own whose traffic all goes through the policy proxy, loopback included,
+      // so Chromium connects only to addresses the policy has checked
+      const proxy = new PolicyProxy(policy);
+      let context = null;
+      let page = null;
+      let blockedError = null;
+
+      // Every request the page makes (redirects and subresources included) goes through the policy
+      const onRequest = async (request) => {
+        const requestUrl = request.url();
+        if (/^(data|blob|about):/.test(requestUrl)) {
+          return request.continue();
+        }
+
+        try {
+          if (request.redirectChain().length > policy.maxRedirects) {
+            throw new UrlPolicyError(`Too many redirects (limit: ${policy.maxRedirects})`);
+          }
+          await policy.check(requestUrl);
+          await request.continue();
+        } catch (error) {
+          if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+            blockedError = blockedError || error;
+          }
+          await request.abort('blockedbyclient').catch(() => {});
+        }
+      };
 
-    } finally {
-      await page.close();
-    }
+      try {
+        const browser = await this.initBrowser();
+        context = await browser.createIncognitoBrowserContext({
+          proxyServer: await proxy.listen(),
+          proxyBypassList: ['<-loopback>']
+        });
+        page = await context.newPage();
+        await page.setRequestInterception(true);
+        page.on('request', onRequest);
+
+        await page.goto(url, {
+          waitUntil: 'networkidle0',
+          timeout: policy.navigationTimeout
+        });
+
+        const pdfBuffer = await page.pdf(this.buildPdfOptions(options));
+        return pdfBuffer;
+
+      } catch (error) {
+        throw blockedError || proxy.blockedError || error;
+      } finally {
+        await context?.close().catch(() => {});
+        await proxy.close();
+      }
+    });
   }
 
   async close() {
+    this.pool.clear();
     if (this.browser) {
-      await this.browser.close();
+      const browser = this.browser;
       this.browser = null;
+      await browser.close();
     }
   }
 
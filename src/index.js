@@ -1,55 +1,356 @@
 import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import PdfGenerator from './generators/pdfGenerator.js';
-import TextConverter from './converters/textConverter.js';
-import HtmlConverter from './converters/htmlConverter.js';
-import JsonConverter from './converters/jsonConverter.js';
-import MarkdownConverter from './converters/markdownConverter.js';
-import { parseArgs, loadConfig, ensureDirectoryExists } from './utils/helpers.js';
+import { createDefaultRegistry } from './converters/converterRegistry.js';
+import BookBuilder, { loadBookManifest } from './converters/bookBuilder.js';
+import UrlPolicy from './utils/urlPolicy.js';
+import RenderCache, { createCacheKey } from './utils/renderCache.js';
+import BatchArchive from './utils/batchArchive.js';
+import FileWatcher, { findLocalAssets } from './utils/fileWatcher.js';
+import { expandInput, hasGlob, splitPatterns } from './utils/fileGlob.js';
+import {
+  mergePdfs, isPdf, applyMetadata, applyWatermark, applyRunningHeaders, getNamedDestinationPages
+} from './utils/pdfTools.js';
+import { buildHeaderFooter, toPixels, MIN_MARGIN } from './generators/headerFooter.js';
+import { resolvePreviewOptions, previewFilename } from './generators/pagePreview.js';
+import { conversionsTotal, renderDuration, outputBytes, cacheLookups, startTimer } from './utils/metrics.js';
+import { logger, configureLogger } from './utils/logger.js';
+import {
+  parseArgs, loadConfig, ensureDirectoryExists, sanitizeFilename, renderTextTemplate,
+  getTemplateFingerprint, mapWithConcurrency, formatFileSize, mapDeprecatedOptions, TEMPLATES_DIR
+} from './utils/helpers.js';
 import { startServer } from './server/app.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const ENGINE_VERSION = '1.0.0';
+
 class PDFGenerationEngine {
-  constructor() {
-    this.converters = {
-      text: new TextConverter(),
-      html: new HtmlConverter(),
-      json: new JsonConverter(),
-      markdown: new MarkdownConverter()
-    };
-    this.pdfGenerator = new PdfGenerator();
+  constructor(config = {}) {
+    this.registry = createDefaultRegistry(config.conversion?.defaultType);
+    this.pdfGenerator = new PdfGenerator(config.pool);
+    this.urlPolicy = new UrlPolicy(config.url);
+    this.cache = config.cache?.enabled ? new RenderCache(config.cache) : null;
+
+    // config.pdf holds defaults; its format is the page size, not a converter display mode
+    const { format: pageFormat, ...pdfDefaults } = config.pdf || {};
+    this.pdfDefaults = { ...pdfDefaults, pageFormat };
+
+    // Kept up to date by a caller that watches the templates (the server); null means hash on every use
+    this.templateFingerprint = null;
+  }
+
+  registerConverter(type, converter, options = {}) {
+    this.registry.register(type, converter, options);
+    return this;
+  }
+
+  detectContentType(content) {
+    return this.registry.detect(content);
   }
 
-  async convertToPDF(content, type, options = {}) {
+  decodeContent(buffer, type, options = {}) {
+    // Converters that care about byte order marks or legacy encodings decode their own input
+    const converter = this.registry.get(type);
+    if (converter && typeof converter.decode === 'function') {
+      return converter.decode(buffer, options);
+    }
+    return buffer.toString('utf-8');
+  }
+
+  async loadPlugins(pluginsDir) {
+    let files;
+    try {
+      files = await fs.readdir(pluginsDir);
+    } catch (error) {
+      logger.warn('Plugins directory not found', { directory: pluginsDir });
+      return [];
+    }
+
+    const loaded = [];
+    for (const file of files.filter(name => /\.(m?js)$/.test(name)).sort()) {
+      const pluginPath = path.join(pluginsDir, file);
+      const plugin = await import(pathToFileURL(pluginPath).href);
+
+      // A plugin's default export receives the engine and registers its converters
+      if (typeof plugin.default !== 'function') {
+        throw new Error(`Plugin ${file} must export a default register(engine) function`);
+      }
+      await plugin.default(this);
+
+      logger.info(`Loaded converter plugin: ${file}`);
+      loaded.push(file);
+    }
+
+    return loaded;
+  }
+
+  async convertToPDF(content, type, options = {}, context = {}) {
+    // context.onProgress(stage, percent) reports progress, context.signal aborts between stages,
+    // context.requestId and context.jobId are added to every log line
+    const { onProgress = () => {}, signal } = context;
+    const log = this.getLogger(context, { type });
+    const elapsed = startTimer();
+
     try {
       // Validate input type
-      if (!this.converters[type]) {
+      const converter = this.registry.get(type);
+      if (!converter) {
         throw new Error(`Unsupported content type: ${type}`);
       }
 
+      // Configured defaults < document frontmatter < explicit options
+      options = this.resolveOptions(converter, content, options);
+
+      // cache: false skips the lookup but still stores the fresh render
+      const cacheKey = this.cache ? await this.computeCacheKey(content, type, options) : null;
+      if (cacheKey && options.cache !== false) {
+        const cached = await this.cache.get(cacheKey);
+        cacheLookups.inc({ result: cached ? cached.tier : 'miss' });
+        if (cached) {
+          conversionsTotal.inc({ type, outcome: 'success' });
+          outputBytes.observe({ type }, cached.buffer.length);
+          log.info('PDF served from cache', {
+            cache: cached.tier,
+            outputBytes: cached.buffer.length,
+            durationMs: Math.round(elapsed() * 1000)
+          });
+          onProgress('rendered', 100);
+          return cached.buffer;
+        }
+      }
+
       // Separate converter options from PDF options
-      const { format, ...pdfOptions } = options;
+      const { format, pageFormat, ...pdfOptions } = options;
       const converterOptions = { format, ...options };
 
       // Convert content to HTML
-      const htmlContent = await this.converters[type].convert(content, converterOptions);
+      onProgress('converting', 10);
+      const htmlContent = await converter.convert(content, converterOptions);
+      renderDuration.observe({ type, phase: 'converter' }, elapsed());
+      signal?.throwIfAborted();
+      
+      // Frontmatter or top-level JSON fields feed headers, footers and metadata
+      const extracted = typeof converter.extractMetadata === 'function'
+        ? converter.extractMetadata(content, converterOptions)
+        : {};
+      const variables = this.getDocumentVariables(options, extracted);
+      const headerFooter = await buildHeaderFooter(options, variables);
       
       // Generate PDF from HTML (only pass PDF-specific options)
-      const pdfBuffer = await this.pdfGenerator.generateFromHTML(htmlContent, pdfOptions);
+      onProgress('rendering', 40);
+      const chromiumElapsed = startTimer();
+      let pdfBuffer = await this.pdfGenerator.generateFromHTML(htmlContent, { ...pdfOptions, format: pageFormat, ...headerFooter });
+      renderDuration.observe({ type, phase: 'chromium' }, chromiumElapsed());
+      signal?.throwIfAborted();
       
-      return pdfBuffer;
+      if (options.watermark) {
+        onProgress('watermarking', 80);
+        pdfBuffer = await applyWatermark(pdfBuffer, await this.resolveWatermark(options.watermark, variables));
+      }
+      
+      // Write document metadata from options, frontmatter or top-level JSON fields
+      onProgress('metadata', 90);
+      const documentBuffer = await applyMetadata(pdfBuffer, this.resolveMetadata(options, extracted));
+      
+      if (cacheKey) {
+        // A full disk must not fail a render that already succeeded
+        await this.cache.set(cacheKey, documentBuffer).catch(error => {
+          log.warn('Could not write render cache', { error: error.message });
+        });
+      }
+      
+      conversionsTotal.inc({ type, outcome: 'success' });
+      outputBytes.observe({ type }, documentBuffer.length);
+      log.info('PDF rendered', {
+        inputBytes: typeof content === 'string' ? Buffer.byteLength(content) : undefined,
+        outputBytes: documentBuffer.length,
+        durationMs: Math.round(elapsed() * 1000)
+      });
+      onProgress('rendered', 100);
+      return documentBuffer;
     } catch (error) {
-      throw new Error(`PDF generation failed: ${error.message}`);
+      // Unknown types share one label so arbitrary input cannot create new series
+      conversionsTotal.inc({ type: this.registry.has(type) ? type : 'unknown', outcome: 'failure' });
+      log.error('PDF generation failed', { error: error.message, code: error.code, durationMs: Math.round(elapsed() * 1000) });
+      throw Object.assign(new Error(`PDF generation failed: ${error.message}`), {
+        code: error.code,
+        statusCode: error.statusCode
+      });
+    }
+  }
+
+  /**
+   * Page images of a document: the finished PDF (watermark included, served from
+   * the render cache when possible) rasterized page by page.
+   * preview: { pages, width, format }, see generators/pagePreview.js.
+   * Resolves to { pageCount, images: [{ page, width, height, format, buffer }] }.
+   */
+  async convertToPreview(content, type, options = {}, preview = {}, context = {}) {
+    // Bad preview options fail before anything is rendered
+    const previewOptions = resolvePreviewOptions(preview);
+    const pdfBuffer = await this.convertToPDF(content, type, options, context);
+
+    const log = this.getLogger(context, { type });
+    const elapsed = startTimer();
+    try {
+      const result = await this.pdfGenerator.renderPages(pdfBuffer, previewOptions);
+      log.info('Preview rendered', {
+        pages: result.images.length,
+        pageCount: result.pageCount,
+        format: previewOptions.format,
+        durationMs: Math.round(elapsed() * 1000)
+      });
+      return result;
+    } catch (error) {
+      log.error('Preview rendering failed', { error: error.message, code: error.code, durationMs: Math.round(elapsed() * 1000) });
+      throw Object.assign(new Error(`Preview generation failed: ${error.message}`), {
+        code: error.code,
+        statusCode: error.statusCode
+      });
+    }
+  }
+
+  /**
+   * Content-addressed key for a conversion: the same content, type, options,
+   * templates and engine version always give the same key. Used for the render
+   * cache and as the HTTP ETag.
+   */
+  async getCacheKey(content, type, options = {}) {
+    const converter = this.registry.get(type);
+    if (!converter) {
+      throw new Error(`Unsupported content type: ${type}`);
+    }
+    return this.computeCacheKey(content, type, this.resolveOptions(converter, content, options));
+  }
+
+  async computeCacheKey(content, type, resolvedOptions) {
+    // Neither the cache switch nor the download name changes the PDF
+    const { cache, filename, ...options } = resolvedOptions;
+    return createCacheKey({
+      version: ENGINE_VERSION,
+      type,
+      content,
+      options,
+      templates: this.templateFingerprint ?? await getTemplateFingerprint()
+    });
+  }
+
+  getLogger(context = {}, fields = {}) {
+    return logger.child({ requestId: context.requestId, jobId: context.jobId, ...fields });
+  }
+
+  resolveOptions(converter, content, options = {}) {
+    const documentOptions = typeof converter.extractOptions === 'function'
+      ? converter.extractOptions(content)
+      : {};
+    return { ...this.pdfDefaults, ...documentOptions, ...options };
+  }
+
+  getDocumentVariables(options = {}, extracted = {}) {
+    return {
+      ...extracted,
+      ...options.variables,
+      ...options.metadata,
+      title: options.title || options.metadata?.title || extracted.title || ''
+    };
+  }
+
+  // Watermark text may use document variables, e.g. "CONFIDENTIAL – {{recipient}}"
+  async resolveWatermark(watermark, variables = {}) {
+    const settings = typeof watermark === 'string' ? { text: watermark } : { ...watermark };
+    if (settings.text) {
+      // Watermark text often comes from API clients: template mistakes (including {{> partials}},
+      // which plain-text templates do not support) are theirs to fix
+      settings.text = await renderTextTemplate(String(settings.text), variables).catch((error) => {
+        throw Object.assign(new Error(`Invalid watermark text: ${error.message}`), { code: 'INVALID_OPTIONS', statusCode: 400 });
+      });
+    }
+    return settings;
+  }
+
+  resolveMetadata(options = {}, extracted = {}) {
+    const pick = (...values) => values.find(value => value !== undefined && value !== null && value !== '');
+    // Frontmatter and JSON may hold numbers, dates or lists (author: [A, B]); PDF info fields take text only
+    const toText = (value) => {
+      if (Array.isArray(value)) {
+        return value.map(toText).filter(Boolean).join(', ');
+      }
+      if (value instanceof Date) {
+        return isNaN(value.getTime()) ? undefined : value.toISOString();
+      }
+      return ['string', 'number', 'boolean'].includes(typeof value) ? String(value) : undefined;
+    };
+    const pickText = (...values) => pick(...values.map(toText));
+    const explicit = options.metadata || {};
+    
+    const keywords = pick(explicit.keywords, extracted.keywords, extracted.tags);
+    const creationDate = new Date(pick(explicit.creationDate, extracted.date, extracted.created) || NaN);
+    
+    return {
+      title: pickText(explicit.title, options.title, extracted.title),
+      author: pickText(explicit.author, extracted.author),
+      subject: pickText(explicit.subject, extracted.subject, extracted.description),
+      keywords: Array.isArray(keywords)
+        ? keywords.map(toText).filter(Boolean)
+        : (toText(keywords) || '').split(',').map(keyword => keyword.trim()).filter(Boolean),
+      creator: pickText(explicit.creator, 'PDF Generation Engine'),
+      producer: pickText(explicit.producer, `PDF Generation Engine ${ENGINE_VERSION}`),
+      creationDate: isNaN(creationDate.getTime()) ? undefined : creationDate
+    };
+  }
+
+  async convertUrlToPDF(url, options = {}, context = {}) {
+    const { onProgress = () => {}, signal } = context;
+    const log = this.getLogger(context, { type: 'url' });
+    const elapsed = startTimer();
+
+    try {
+      // Reject blocked destinations before taking a page from the pool
+      onProgress('checking', 10);
+      await this.urlPolicy.check(url);
+      signal?.throwIfAborted();
+
+      onProgress('rendering', 40);
+      // For web pages format is the page size
+      options = { ...this.pdfDefaults, ...options, format: options.format || this.pdfDefaults.pageFormat };
+      const variables = this.getDocumentVariables(options);
+      const headerFooter = await buildHeaderFooter(options, variables);
+      let pdfBuffer = await this.pdfGenerator.generateFromUrl(url, { ...options, ...headerFooter }, this.urlPolicy);
+      renderDuration.observe({ type: 'url', phase: 'chromium' }, elapsed());
+      signal?.throwIfAborted();
+
+      if (options.watermark) {
+        pdfBuffer = await applyWatermark(pdfBuffer, await this.resolveWatermark(options.watermark, variables));
+      }
+
+      const documentBuffer = await applyMetadata(pdfBuffer, this.resolveMetadata(options));
+      conversionsTotal.inc({ type: 'url', outcome: 'success' });
+      outputBytes.observe({ type: 'url' }, documentBuffer.length);
+      log.info('Web page rendered', {
+        url,
+        outputBytes: documentBuffer.length,
+        durationMs: Math.round(elapsed() * 1000)
+      });
+      onProgress('rendered', 100);
+      return documentBuffer;
+    } catch (error) {
+      conversionsTotal.inc({ type: 'url', outcome: 'failure' });
+      log.error('Web page rendering failed', { url, error: error.message, code: error.code, durationMs: Math.round(elapsed() * 1000) });
+      throw Object.assign(new Error(`PDF generation failed: ${error.message}`), {
+        code: error.code,
+        statusCode: error.statusCode
+      });
     }
   }
 
   async convertFile(inputPath, outputPath, type, options = {}) {
     try {
       // Read input file
-      const content = await fs.readFile(inputPath, 'utf-8');
+      const content = this.decodeContent(await fs.readFile(inputPath), type, options);
       
       // Convert to PDF
       const pdfBuffer = await this.convertToPDF(content, type, options);
@@ -60,26 +361,253 @@ class PDFGenerationEngine {
       // Write PDF file
       await fs.writeFile(outputPath, pdfBuffer);
       
-      console.log(`✅ PDF generated successfully: ${outputPath}`);
+      logger.success(`PDF generated successfully: ${outputPath}`, { output: outputPath, bytes: pdfBuffer.length });
       return outputPath;
     } catch (error) {
       throw new Error(`File conversion failed: ${error.message}`);
     }
   }
 
-  async batchConvert(files, options = {}) {
-    const results = [];
-    
-    for (const file of files) {
+  // Rendering more documents at once than the page pool allows would only queue them
+  resolveConcurrency(concurrency) {
+    const limit = this.pdfGenerator.pool.maxConcurrency;
+    const requested = parseInt(concurrency, 10);
+    return Number.isInteger(requested) && requested > 0 ? Math.min(requested, limit) : limit;
+  }
+
+  /**
+   * Run convert(item, index) over a batch on the shared browser.
+   * batchOptions: concurrency (default: the page pool size), failFast (stop starting
+   * new items after the first failure), signal (stop starting new items when aborted).
+   * Resolves to [{ index, success, value | error, skipped, durationMs }] in input order.
+   */
+  async runBatch(items, convert, { concurrency, failFast = false, signal } = {}) {
+    let failed = false;
+
+    return mapWithConcurrency(items, this.resolveConcurrency(concurrency), async (item, index) => {
+      if ((failFast && failed) || signal?.aborted) {
+        return {
+          index,
+          success: false,
+          skipped: true,
+          error: signal?.aborted ? 'Batch was cancelled' : 'Skipped after an earlier failure',
+          durationMs: 0
+        };
+      }
+
+      const elapsed = startTimer();
       try {
-        const result = await this.convertFile(file.input, file.output, file.type, options);
-        results.push({ success: true, file: result });
+        const value = await convert(item, index);
+        return { index, success: true, value, durationMs: Math.round(elapsed() * 1000) };
       } catch (error) {
-        results.push({ success: false, file: file.input, error: error.message });
+        failed = true;
+        return { index, success: false, error: error.message, durationMs: Math.round(elapsed() * 1000) };
+      }
+    });
+  }
+
+  async batchConvert(files, options = {}, batchOptions = {}) {
+    const results = await this.runBatch(
+      files,
+      (file) => this.convertFile(file.input, file.output, file.type || detectFileType(file.input, this), options),
+      batchOptions
+    );
+
+    return results.map(({ success, value, error, skipped, durationMs }, index) => success
+      ? { success: true, file: value, durationMs }
+      : { success: false, file: files[index].input, error, skipped, durationMs });
+  }
+
+  // Writes one ZIP with a PDF per input plus manifest.json instead of loose files
+  async batchConvertToZip(files, outputPath, options = {}, batchOptions = {}) {
+    await ensureDirectoryExists(path.dirname(outputPath));
+    const archive = new BatchArchive(createWriteStream(outputPath));
+    const filenames = files.map((file, index) => file.output
+      ? path.basename(file.output)
+      : `${path.basename(file.input || `document-${index + 1}`, path.extname(file.input || ''))}.pdf`);
+    const elapsed = startTimer();
+
+    // Each PDF is added as soon as it is ready; the manifest keeps input order
+    const results = await this.runBatch(files, async (file, index) => {
+      const type = file.type || detectFileType(file.input, this);
+      const content = this.decodeContent(await fs.readFile(file.input), type, options);
+      const pdfBuffer = await this.convertToPDF(content, type, options);
+      archive.addPdf(index, filenames[index], pdfBuffer, { input: file.input });
+      return pdfBuffer.length;
+    }, batchOptions);
+
+    results.forEach(({ index, success, error, skipped, durationMs }) => {
+      if (success) {
+        Object.assign(archive.files[index], { durationMs });
+      } else {
+        archive.addError(index, filenames[index], error, { input: files[index].input, skipped, durationMs });
+      }
+    });
+
+    const manifest = await archive.finalize({
+      concurrency: this.resolveConcurrency(batchOptions.concurrency),
+      durationMs: Math.round(elapsed() * 1000)
+    });
+    logger.success(`Batch ZIP generated: ${outputPath}`, { output: outputPath, files: manifest.totalFiles, succeeded: manifest.successCount });
+    return manifest;
+  }
+
+  // parts: [{ content, type, options }] to render, or [{ pdf: Buffer }] to include as-is
+  async mergeToPDF(parts, options = {}, context = {}) {
+    const { onProgress = () => {}, signal, requestId, jobId } = context;
+    // A shared watermark is stamped once on the merged document so page ranges span all parts
+    const { separator, watermark, ...sharedOptions } = options;
+
+    try {
+      const buffers = [];
+      for (const [index, part] of parts.entries()) {
+        onProgress(`rendering part ${index + 1}/${parts.length}`, Math.round(90 * index / parts.length));
+
+        if (part.pdf) {
+          buffers.push(part.pdf);
+        } else {
+          // Each part keeps its own page settings on top of the shared options
+          const type = part.type || this.detectContentType(part.content);
+          buffers.push(await this.convertToPDF(part.content, type, { ...sharedOptions, ...part.options }, { requestId, jobId }));
+        }
+        signal?.throwIfAborted();
+      }
+
+      // separator: true inserts a blank page, { content, type, options } renders one
+      let separatorPage = separator === true || separator === 'true';
+      if (separator && typeof separator === 'object') {
+        const type = separator.type || this.detectContentType(separator.content);
+        separatorPage = await this.convertToPDF(separator.content, type, { ...sharedOptions, ...separator.options }, { requestId, jobId });
+      }
+
+      onProgress('merging', 95);
+      let merged = await mergePdfs(buffers, { separator: separatorPage });
+      if (watermark) {
+        merged = await applyWatermark(merged, await this.resolveWatermark(watermark, this.getDocumentVariables(sharedOptions)));
+      }
+
+      onProgress('rendered', 100);
+      return applyMetadata(merged, this.resolveMetadata(sharedOptions));
+    } catch (error) {
+      throw Object.assign(new Error(`PDF merge failed: ${error.message}`), {
+        code: error.code,
+        statusCode: error.statusCode
+      });
+    }
+  }
+
+  /**
+   * Render a book manifest (see converters/bookBuilder.js) to one PDF. Unless
+   * runningHeaders is false, or a header preset takes the top margin, each
+   * chapter's title is printed at the top of its pages after the first.
+   */
+  async convertBook(manifestPath, options = {}, context = {}) {
+    const { onProgress = () => {}, signal } = context;
+    const log = this.getLogger(context, { type: 'book' });
+    const elapsed = startTimer();
+
+    try {
+      const converter = this.registry.get('markdown');
+      if (typeof converter?.renderPart !== 'function') {
+        throw new Error('Book builds need the built-in Markdown converter');
+      }
+
+      // Configured defaults < book defaults < manifest options < explicit options
+      const manifest = await loadBookManifest(manifestPath);
+      options = { ...this.pdfDefaults, toc: true, numberHeadings: true, ...manifest.options, ...options };
+      const runningHeaders = options.runningHeaders === undefined
+        ? !options.header
+        : options.runningHeaders !== false && options.runningHeaders !== 'false';
+      const margin = { top: '1cm', right: '1cm', bottom: '1cm', left: '1cm', ...options.margin };
+      if (runningHeaders && toPixels(margin.top) < toPixels(MIN_MARGIN)) {
+        margin.top = MIN_MARGIN;
+      }
+      options.margin = margin;
+
+      onProgress('converting', 10);
+      const book = await new BookBuilder(converter).build(manifest, options);
+      renderDuration.observe({ type: 'book', phase: 'converter' }, elapsed());
+      signal?.throwIfAborted();
+
+      const { format, pageFormat, ...pdfOptions } = options;
+      const variables = this.getDocumentVariables(options, manifest.metadata);
+      const headerFooter = await buildHeaderFooter(options, variables);
+
+      onProgress('rendering', 40);
+      const chromiumElapsed = startTimer();
+      let pdfBuffer = await this.pdfGenerator.generateFromHTML(book.html, { ...pdfOptions, format: pageFormat, ...headerFooter });
+      renderDuration.observe({ type: 'book', phase: 'chromium' }, chromiumElapsed());
+      signal?.throwIfAborted();
+
+      if (runningHeaders) {
+        // Each part is a named destination, so the final PDF tells where every chapter starts
+        const startPages = await getNamedDestinationPages(pdfBuffer);
+        const entries = book.sections.map(section => ({ title: section.title, page: startPages[section.id] }));
+        pdfBuffer = await applyRunningHeaders(pdfBuffer, entries.filter(entry => entry.page), {
+          // CSS pixels to PDF points
+          marginTop: toPixels(margin.top) * 0.75
+        });
+      }
+
+      if (options.watermark) {
+        onProgress('watermarking', 80);
+        pdfBuffer = await applyWatermark(pdfBuffer, await this.resolveWatermark(options.watermark, variables));
+      }
+
+      onProgress('metadata', 90);
+      const documentBuffer = await applyMetadata(pdfBuffer, this.resolveMetadata(options, manifest.metadata));
+      conversionsTotal.inc({ type: 'book', outcome: 'success' });
+      outputBytes.observe({ type: 'book' }, documentBuffer.length);
+      log.info('Book rendered', {
+        manifest: manifestPath,
+        parts: book.sections.length,
+        outputBytes: documentBuffer.length,
+        durationMs: Math.round(elapsed() * 1000)
+      });
+      onProgress('rendered', 100);
+      return documentBuffer;
+    } catch (error) {
+      conversionsTotal.inc({ type: 'book', outcome: 'failure' });
+      log.error('Book rendering failed', { manifest: manifestPath, error: error.message, code: error.code, durationMs: Math.round(elapsed() * 1000) });
+      throw Object.assign(new Error(`PDF generation failed: ${error.message}`), {
+        code: error.code,
+        statusCode: error.statusCode
+      });
+    }
+  }
+
+  async buildBook(manifestPath, outputPath, options = {}) {
+    const pdfBuffer = await this.convertBook(manifestPath, options);
+    await ensureDirectoryExists(path.dirname(outputPath));
+    await fs.writeFile(outputPath, pdfBuffer);
+
+    logger.success(`Book generated: ${outputPath}`, { output: outputPath, bytes: pdfBuffer.length });
+    return outputPath;
+  }
+
+  async combineFiles(files, outputPath, options = {}) {
+    const parts = [];
+    for (const file of files) {
+      const buffer = await fs.readFile(file.input);
+      if (isPdf(buffer)) {
+        parts.push({ pdf: buffer });
+        continue;
       }
+
+      const type = file.type || detectFileType(file.input, this);
+      parts.push({
+        content: this.decodeContent(buffer, type, { ...options, ...file.options }),
+        type,
+        options: file.options
+      });
     }
-    
-    return results;
+
+    const pdfBuffer = await this.mergeToPDF(parts, options);
+    await ensureDirectoryExists(path.dirname(outputPath));
+    await fs.writeFile(outputPath, pdfBuffer);
+
+    logger.success(`Combined PDF generated: ${outputPath}`, { output: outputPath, parts: files.length, bytes: pdfBuffer.length });
+    return outputPath;
   }
 }
 
@@ -87,65 +615,154 @@ async function main() {
   try {
     const args = parseArgs(process.argv.slice(2));
     const config = await loadConfig();
+
+    // --log-level / --log-format override LOG_LEVEL / LOG_FORMAT, which override config.logging
+    configureLogger({
+      level: args['log-level'] || process.env.LOG_LEVEL || config.logging?.level,
+      format: args['log-format'] || process.env.LOG_FORMAT || config.logging?.format
+    });
     
-    const engine = new PDFGenerationEngine();
+    const engine = new PDFGenerationEngine(config);
+    if (config.plugins?.directory) {
+      await engine.loadPlugins(path.resolve(config.plugins.directory));
+    }
 
     // Start server mode
     if (args.server) {
-      console.log('🚀 Starting PDF Generation Engine Server...');
+      logger.info('Starting PDF Generation Engine Server...');
       await startServer(engine, config.server);
       return;
     }
 
+    if (args.preview && (!args.input || await isTreeInput(args.input))) {
+      throw new Error('--preview needs a single --input file');
+    }
+
+    // Re-render on every change until Ctrl+C
+    if (args.watch) {
+      await watchFiles(engine, args);
+      return;
+    }
+
     // Command line conversion mode
     if (args.text) {
       // Convert text directly
       const outputPath = args.output || 'output/text-output.pdf';
       
-      // Merge config with command-line options
-      const options = { ...config.pdf };
+      // config.pdf defaults are applied by the engine, below any frontmatter
+      const options = {};
       if (args.title) {
         options.title = args.title;
       }
+      if (args.template) {
+        options.template = args.template;
+      }
+      if (args.author || args.subject || args.keywords) {
+        options.metadata = { author: args.author, subject: args.subject, keywords: args.keywords };
+      }
+      if (args.header) {
+        options.header = args.header;
+      }
+      if (args.footer) {
+        options.footer = args.footer;
+      }
+      if (args.watermark || args['watermark-image']) {
+        options.watermark = await readWatermarkArgs(args);
+      }
+      if (args['no-cache']) {
+        options.cache = false;
+      }
       
       const pdfBuffer = await engine.convertToPDF(args.text, 'text', options);
       
       await ensureDirectoryExists(path.dirname(outputPath));
       await fs.writeFile(outputPath, pdfBuffer);
-      console.log(`✅ Text converted to PDF: ${outputPath}`);
+      logger.success(`Text converted to PDF: ${outputPath}`, { output: outputPath, bytes: pdfBuffer.length });
       
-    } else if (args.input) {
-      // Convert file
-      const inputPath = args.input;
-      const outputPath = args.output || `output/${path.basename(inputPath, path.extname(inputPath))}.pdf`;
-      const type = args.type || detectFileType(inputPath);
+    } else if (args.url) {
+      // Render a web page
+      const outputPath = args.output || `output/${sanitizeFilename(new URL(args.url).hostname)}.pdf`;
       
-      // Merge config with command-line options
-      const options = { ...config.pdf };
-      
-      // Add format-specific options
+      const options = {};
       if (args.format) {
-        options.format = args.format; // This will be used by converters
+        options.format = args.format;
       }
       if (args.title) {
         options.title = args.title;
       }
+      if (args.header) {
+        options.header = args.header;
+      }
+      if (args.footer) {
+        options.footer = args.footer;
+      }
+      if (args.watermark || args['watermark-image']) {
+        options.watermark = await readWatermarkArgs(args);
+      }
       
-      await engine.convertFile(inputPath, outputPath, type, options);
+      const pdfBuffer = await engine.convertUrlToPDF(args.url, options);
+      
+      await ensureDirectoryExists(path.dirname(outputPath));
+      await fs.writeFile(outputPath, pdfBuffer);
+      logger.success(`URL converted to PDF: ${outputPath}`, { output: outputPath, bytes: pdfBuffer.length });
+      
+    } else if (args.input && await isTreeInput(args.input)) {
+      // Convert every file in a directory or matching a glob
+      await convertTree(engine, args);
+
+    } else if (args.input) {
+      // Convert file
+      const inputPath = args.input;
+      const outputPath = args.output || `output/${path.basename(inputPath, path.extname(inputPath))}.pdf`;
+      const type = args.type || detectFileType(inputPath, engine);
+      
+      const options = await readFileOptions(args);
+      
+      if (args.preview) {
+        await writePreview(engine, inputPath, type, options, args);
+      } else {
+        await engine.convertFile(inputPath, outputPath, type, options);
+      }
       
     } else if (args.batch) {
       // Batch conversion
       const batchConfig = JSON.parse(await fs.readFile(args.batch, 'utf-8'));
-      const results = await engine.batchConvert(batchConfig.files, config.pdf);
       
-      console.log('📊 Batch conversion results:');
-      results.forEach(result => {
-        if (result.success) {
-          console.log(`✅ ${result.file}`);
-        } else {
-          console.log(`❌ ${result.file}: ${result.error}`);
-        }
-      });
+      if (batchConfig.combine) {
+        // Merge every input into a single PDF
+        const outputPath = args.output || batchConfig.output || 'output/combined.pdf';
+        await engine.combineFiles(batchConfig.files, outputPath, {
+          ...batchConfig.options,
+          separator: batchConfig.separator
+        });
+        return;
+      }
+      
+      const batchOptions = {
+        concurrency: args.concurrency || batchConfig.concurrency,
+        failFast: Boolean(args['fail-fast'] || batchConfig.failFast)
+      };
+      const elapsed = startTimer();
+      let results;
+      
+      if (args.zip || batchConfig.zip) {
+        // One archive with manifest.json instead of loose files
+        const outputPath = args.output || batchConfig.output || 'output/batch.zip';
+        const manifest = await engine.batchConvertToZip(batchConfig.files, outputPath, batchConfig.options, batchOptions);
+        results = manifest.files.map(({ input, success, error, skipped, durationMs }) => ({ file: input, success, error, skipped, durationMs }));
+      } else {
+        results = await engine.batchConvert(batchConfig.files, batchConfig.options, batchOptions);
+      }
+      
+      logBatchSummary(results, elapsed(), engine.resolveConcurrency(batchOptions.concurrency));
+      if (batchOptions.failFast && results.some(result => !result.success)) {
+        process.exitCode = 1;
+      }
+      
+    } else if (args.book) {
+      // Assemble a multi-chapter book from its manifest
+      const outputPath = args.output || `output/${path.basename(args.book, path.extname(args.book))}.pdf`;
+      await engine.buildBook(args.book, outputPath, await readFileOptions(args));
       
     } else {
       // Show usage
@@ -154,25 +771,76 @@ async function main() {
 
 Usage:
   npm start -- --input <file> --output <output.pdf> --type <type> [options]
+  npm start -- --input <directory|"glob"> --output <directory> [--exclude <patterns>] [options]
   npm start -- --text "content" --output <output.pdf> [options]
+  npm start -- --url <https://...> --output <output.pdf> [options]
   npm start -- --batch <batch-config.json>
+  npm start -- --book <book.yml> --output <book.pdf>
+  npm start -- --input <file> --preview [pages] --output <page.png|pages.zip>
   npm start -- --server
 
 Options:
-  --input     Input file path
-  --output    Output PDF file path
-  --type      Content type (text, html, json, markdown)
+  --input     Input file, directory or quoted glob (e.g. "docs/**/*.md")
+  --output    Output PDF file path (for a directory or glob input: output directory, default: output)
+  --exclude   With a directory or glob --input: patterns to leave out, comma-separated (e.g. "**/drafts/**,_*.md")
+  --skip-up-to-date With a directory or glob --input: skip files whose PDF is newer than the file and its local assets
+  --type      Content type (${engine.registry.types().join(', ')})
   --text      Text content to convert
+  --url       Web page to render (subject to the "url" policy in config.json)
   --batch     Batch configuration file
+  --book      Book manifest (JSON or YAML) listing cover, front matter, chapters and appendix files
+  --watch     With --input or --batch: re-render when inputs, referenced files or templates change
+  --debounce  With --watch: milliseconds to wait for further changes before rendering (default: 300)
+  --preview   With --input: write page images instead of a PDF; optional pages (default: 1, e.g. --preview 1-3 or all)
+  --preview-width  Image width in pixels (default: each page's own size at 96 dpi)
+  --preview-format png, jpeg (default: png)
+  --zip       With --batch: write one ZIP (PDFs + manifest.json) to --output (default: output/batch.zip)
+  --concurrency With --batch or a directory/glob --input: documents rendered in parallel (default and maximum: pool.maxConcurrency)
+  --fail-fast With --batch or a directory/glob --input: stop starting new documents after the first failure and exit with code 1
   --server    Start web server mode
-  --format    Display format (for JSON: structured, table, raw)
+  --format    Display format (for JSON: structured, table, raw; for --url: page size such as A4)
   --title     Document title
+  --template  Template file in src/templates (default: default.html)
+  --author    PDF metadata author (also read from frontmatter / JSON fields)
+  --subject   PDF metadata subject
+  --keywords  PDF metadata keywords, comma-separated
+  --header    Page header preset (page-x-of-y, page-number, title-date, title-page, author-date, confidential)
+  --footer    Page footer preset (same presets as --header)
+  --watermark Watermark text, e.g. DRAFT (may use variables: "CONFIDENTIAL – {{recipient}}")
+  --watermark-image    PNG or JPEG file to stamp instead of text
+  --watermark-opacity  0 to 1 (default: 0.15 for text, 0.3 for images)
+  --watermark-rotation Degrees (default: 45 for centered text, otherwise 0)
+  --watermark-position center, top, bottom, left, right, top-left, top-right, bottom-left, bottom-right
+  --watermark-size     Font size in points (default: 72)
+  --watermark-color    Text color as hex (default: #808080)
+  --watermark-pages    Pages to stamp, e.g. 1-3,5 or last (default: all)
+  --toc       Markdown table of contents; optional depth (e.g. --toc 2)
+  --number-headings Number Markdown headings 1, 1.1, ...; optional depth (default: 3)
+  --code-theme Markdown code highlighting theme (github, atom-one-light, vs, xcode, stackoverflow-light, grayscale, none)
+  --line-numbers Number the lines of Markdown code blocks
+  --code-wrap  Wrap long code lines: true, false (default: true)
+  --math      Render $...$ and $$...$$ math in Markdown: true, false (default: true)
+  --equation-numbers Number display equations: labelled, all, none (default: labelled)
+  --diagrams  Draw mermaid/dot fences and <pre class="mermaid"> blocks as SVG: true, false (default: true)
+  --diagram-theme Mermaid theme: neutral, default, forest, dark, base (default: neutral)
+  --delimiter CSV delimiter (default: auto-detect; use "tab" for TSV)
+  --columns   CSV columns to include, by header name or 1-based position
+  --header-row CSV header row: true, false (default: auto-detect); --header true|false is deprecated
+  --encoding  Input encoding when the file has no BOM (default: utf-8)
+  --no-cache  Render again instead of reusing a cached PDF (when "cache" is enabled in config.json)
+  --log-level  debug, info, warn, error (default: info, or LOG_LEVEL)
+  --log-format pretty, json (default: pretty, or LOG_FORMAT)
 
 Examples:
   npm start -- --input example.md --output doc.pdf --type markdown
   npm start -- --text "Hello World" --output hello.pdf --title "My Document"
   npm start -- --input data.json --output report.pdf --format table
   npm start -- --input data.json --output raw.pdf --format raw
+  npm start -- --input sales.csv --output sales.pdf --columns "Region,Total"
+  npm start -- --input report.md --output report.pdf --footer page-x-of-y
+  npm start -- --input report.md --output draft.pdf --watermark DRAFT --watermark-pages 1
+  npm start -- --batch batch.json --zip --output docs.zip
+  npm start -- --input guide.md --output guide.pdf --watch
   npm start -- --server
 
 JSON Format Options:
@@ -183,23 +851,418 @@ JSON Format Options:
     }
 
   } catch (error) {
-    console.error('❌ Error:', error.message);
+    logger.error(`Error: ${error.message}`, { code: error.code });
     process.exit(1);
   }
 }
 
-function detectFileType(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  const typeMap = {
-    '.txt': 'text',
-    '.html': 'html',
-    '.htm': 'html',
-    '.json': 'json',
-    '.md': 'markdown',
-    '.markdown': 'markdown'
+// --preview: one page gives an image file, several give a ZIP of page-N images with manifest.json
+async function writePreview(engine, inputPath, type, options, args) {
+  const content = engine.decodeContent(await fs.readFile(inputPath), type, options);
+  const { pageCount, images } = await engine.convertToPreview(content, type, options, {
+    pages: args.preview === true ? undefined : args.preview,
+    width: args['preview-width'],
+    format: args['preview-format']
+  });
+  const name = path.basename(inputPath, path.extname(inputPath));
+
+  if (images.length === 1 && !/\.zip$/i.test(args.output || '')) {
+    const [image] = images;
+    const outputPath = args.output || `output/${name}-${previewFilename(image)}`;
+    await ensureDirectoryExists(path.dirname(outputPath));
+    await fs.writeFile(outputPath, image.buffer);
+    logger.success(`Preview generated: ${outputPath}`, { output: outputPath, page: image.page, width: image.width, height: image.height });
+    return;
+  }
+
+  const outputPath = args.output || `output/${name}-preview.zip`;
+  await ensureDirectoryExists(path.dirname(outputPath));
+  const archive = new BatchArchive(createWriteStream(outputPath));
+  images.forEach((image, index) => {
+    archive.addFile(index, previewFilename(image), image.buffer, { page: image.page, width: image.width, height: image.height });
+  });
+  await archive.finalize({ input: inputPath, pageCount });
+  logger.success(`Preview generated: ${outputPath}`, { output: outputPath, pages: images.length, pageCount });
+}
+
+// Per-file timings in input order, then totals
+function logBatchSummary(results, elapsedSeconds, concurrency) {
+  results.forEach(({ file, success, error, skipped, durationMs }) => {
+    if (success) {
+      logger.info(`${file} (${durationMs}ms)`, { input: file, durationMs });
+    } else if (skipped) {
+      logger.warn(`${file}: ${error}`, { input: file, skipped: true });
+    } else {
+      logger.error(`${file}: ${error} (${durationMs}ms)`, { input: file, durationMs });
+    }
+  });
+
+  const succeeded = results.filter(result => result.success).length;
+  const skipped = results.filter(result => result.skipped).length;
+  const failed = results.length - succeeded - skipped;
+  const slowest = results.reduce((slowestSoFar, result) => (result.durationMs > (slowestSoFar?.durationMs ?? -1) ? result : slowestSoFar), null);
+  const renderMs = results.reduce((total, result) => total + result.durationMs, 0);
+
+  const log = failed > 0 ? logger.warn.bind(logger) : logger.success.bind(logger);
+  log(`Batch finished: ${succeeded}/${results.length} succeeded${failed ? `, ${failed} failed` : ''}${skipped ? `, ${skipped} skipped` : ''} in ${elapsedSeconds.toFixed(1)}s (concurrency ${concurrency})`, {
+    files: results.length,
+    succeeded,
+    failed,
+    skipped,
+    durationMs: Math.round(elapsedSeconds * 1000),
+    renderMs,
+    slowest: slowest?.file,
+    slowestMs: slowest?.durationMs,
+    concurrency
+  });
+}
+
+// A directory or glob rather than a single file; an existing file always wins
+async function isTreeInput(inputPath) {
+  const stat = await fs.stat(inputPath).catch(() => null);
+  return stat ? stat.isDirectory() : hasGlob(inputPath);
+}
+
+// One job per matching file, mirroring the source tree under --output (a directory)
+async function getTreeJobs(engine, args) {
+  const outputDir = typeof args.output === 'string' ? args.output : 'output';
+  const { files } = await expandInput(args.input, {
+    exclude: splitPatterns(args.exclude),
+    // A plain directory also holds images and stylesheets; only take what a converter handles
+    filter: (file) => Boolean(engine.registry.typeForExtension(path.extname(file)))
+  });
+  if (files.length === 0) {
+    throw new Error(`No input files match ${args.input}`);
+  }
+
+  return files.map(({ file, relative }) => ({
+    input: file,
+    relative,
+    output: path.join(outputDir, path.posix.dirname(relative), `${path.basename(relative, path.extname(relative))}.pdf`),
+    type: args.type || detectFileType(file, engine)
+  }));
+}
+
+// The PDF is newer than its input and every local file the input references
+async function isUpToDate(job) {
+  const output = await fs.stat(job.output).catch(() => null);
+  if (!output) {
+    return false;
+  }
+  for (const source of [job.input, ...await findLocalAssets(job.input)]) {
+    if ((await fs.stat(source)).mtimeMs > output.mtimeMs) {
+      return false;
+    }
+  }
+  return true;
+}
+
+async function convertTree(engine, args) {
+  const jobs = await getTreeJobs(engine, args);
+  const options = await readFileOptions(args);
+  const batchOptions = { concurrency: args.concurrency, failFast: Boolean(args['fail-fast']) };
+  const elapsed = startTimer();
+
+  const rows = jobs.map(job => ({ status: 'converted', file: job.relative, output: job.output }));
+  const pending = [];
+  for (const [index, job] of jobs.entries()) {
+    if (args['skip-up-to-date'] && await isUpToDate(job)) {
+      rows[index].status = 'up to date';
+    } else {
+      pending.push(index);
+    }
+  }
+
+  const results = await engine.runBatch(
+    pending,
+    (index) => engine.convertFile(jobs[index].input, jobs[index].output, jobs[index].type, options),
+    batchOptions
+  );
+  results.forEach(({ success, error, skipped, durationMs }, position) => {
+    Object.assign(rows[pending[position]], success
+      ? { durationMs }
+      : { status: skipped ? 'skipped' : 'failed', error, durationMs });
+  });
+
+  for (const row of rows.filter(row => row.status === 'converted' || row.status === 'up to date')) {
+    row.bytes = (await fs.stat(row.output)).size;
+  }
+
+  printSummaryTable(rows);
+  const count = (status) => rows.filter(row => row.status === status).length;
+  const failed = count('failed');
+  const summary = `${count('converted')} converted, ${count('up to date')} up to date${failed ? `, ${failed} failed` : ''}${count('skipped') ? `, ${count('skipped')} skipped` : ''} in ${elapsed().toFixed(1)}s`;
+  (failed ? logger.warn : logger.success).call(logger, summary, {
+    files: rows.length,
+    converted: count('converted'),
+    upToDate: count('up to date'),
+    failed,
+    skipped: count('skipped'),
+    concurrency: engine.resolveConcurrency(batchOptions.concurrency)
+  });
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Aligned columns in pretty mode; one record per file in JSON mode
+function printSummaryTable(rows) {
+  if (logger.settings.format === 'json') {
+    rows.forEach(({ status, file, output, bytes, durationMs, error }) => {
+      logger.info(`${file}: ${status}`, { input: file, status, output, bytes, durationMs, error });
+    });
+    return;
+  }
+
+  const table = [
+    ['Status', 'File', 'Output / error', 'Size', 'Time'],
+    ...rows.map(row => [
+      row.status,
+      row.file,
+      row.error ? row.error : row.output,
+      row.bytes === undefined ? '-' : formatFileSize(row.bytes),
+      row.durationMs === undefined ? '-' : `${row.durationMs}ms`
+    ])
+  ];
+  const widths = table[0].map((heading, column) => Math.max(...table.map(cells => cells[column].length)));
+  const line = (cells) => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  console.log(`\n${line(table[0])}\n${widths.map(width => '-'.repeat(width)).join('  ')}`);
+  table.slice(1).forEach(cells => console.log(line(cells)));
+  console.log('');
+}
+
+/**
+ * --watch: render once, then re-render whatever an edit affects. The browser
+ * stays open between renders. Inputs, the local files they reference, the
+ * templates and the batch config itself are watched; render errors are logged
+ * and watching continues.
+ */
+async function watchFiles(engine, args) {
+  if (!args.input && !args.batch) {
+    throw new Error('--watch needs --input or --batch');
+  }
+
+  const batchPath = args.batch && path.resolve(args.batch);
+  const dependencies = new Map();
+  let targets = [];
+  let queue = Promise.resolve();
+
+  const watcher = new FileWatcher((changed) => {
+    // Rebuilds run one after another; changes during a render queue the next one
+    queue = queue.then(() => rebuild(changed)).catch(error => logger.error(`Watch error: ${error.message}`));
+  }, { debounce: Number(args.debounce) || 300 });
+
+  const loadTargets = async () => {
+    targets = batchPath ? await getBatchWatchTargets(engine, args) : await getInputWatchTargets(engine, args);
+    dependencies.clear();
+  };
+
+  const build = async (selected) => {
+    const elapsed = startTimer();
+    let failed = 0;
+
+    await mapWithConcurrency(selected, engine.resolveConcurrency(args.concurrency), async (target) => {
+      try {
+        await target.build();
+      } catch (error) {
+        failed++;
+        logger.error(`${target.label}: ${error.message}`, { input: target.label });
+      }
+      const inputs = target.inputs.map(input => path.resolve(input));
+      const assets = await Promise.all(inputs.map(input => findLocalAssets(input)));
+      dependencies.set(target, [...inputs, ...assets.flat()]);
+    });
+
+    watcher.setFiles([...(batchPath ? [batchPath] : []), ...Array.from(dependencies.values()).flat()]);
+    const summary = `${selected.length - failed}/${selected.length} rendered in ${elapsed().toFixed(1)}s`;
+    (failed ? logger.warn : logger.success).call(logger, `${summary}. Watching for changes (Ctrl+C to stop)...`);
   };
+
+  const rebuild = async (changed) => {
+    const files = changed.map(file => path.resolve(file));
+    logger.info(`Changed: ${files.map(file => path.relative(process.cwd(), file)).join(', ')}`);
+
+    if (batchPath && files.includes(batchPath)) {
+      await loadTargets();
+      return build(targets);
+    }
+
+    const templateChanged = files.some(file => file.startsWith(TEMPLATES_DIR + path.sep));
+    const affected = templateChanged
+      ? targets
+      : targets.filter(target => dependencies.get(target)?.some(file => files.includes(file)));
+    if (affected.length > 0) {
+      await build(affected);
+    }
+  };
+
+  await loadTargets();
+  watcher.watchDirectory(TEMPLATES_DIR);
+  await build(targets);
+
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  watcher.close();
+  await queue;
+  await engine.pdfGenerator.close();
+  logger.info('Stopped watching');
+}
+
+// A watch target renders one output from its inputs; a directory or glob gives one per file
+async function getInputWatchTargets(engine, args) {
+  if (await isTreeInput(args.input)) {
+    const options = await readFileOptions(args);
+    return (await getTreeJobs(engine, args)).map(job => ({
+      label: job.relative,
+      inputs: [job.input],
+      build: () => engine.convertFile(job.input, job.output, job.type, options)
+    }));
+  }
+
+  const inputPath = args.input;
+  const outputPath = args.output || `output/${path.basename(inputPath, path.extname(inputPath))}.pdf`;
+  const type = args.type || detectFileType(inputPath, engine);
+  const options = await readFileOptions(args);
+
+  return [{
+    label: inputPath,
+    inputs: [inputPath],
+    build: () => engine.convertFile(inputPath, outputPath, type, options)
+  }];
+}
+
+async function getBatchWatchTargets(engine, args) {
+  const batchConfig = JSON.parse(await fs.readFile(args.batch, 'utf-8'));
+  const inputs = batchConfig.files.map(file => file.input);
+
+  if (batchConfig.combine) {
+    const outputPath = args.output || batchConfig.output || 'output/combined.pdf';
+    return [{
+      label: outputPath,
+      inputs,
+      build: () => engine.combineFiles(batchConfig.files, outputPath, { ...batchConfig.options, separator: batchConfig.separator })
+    }];
+  }
+
+  if (args.zip || batchConfig.zip) {
+    const outputPath = args.output || batchConfig.output || 'output/batch.zip';
+    return [{
+      label: outputPath,
+      inputs,
+      build: async () => {
+        const manifest = await engine.batchConvertToZip(batchConfig.files, outputPath, batchConfig.options, {
+          concurrency: args.concurrency || batchConfig.concurrency
+        });
+        manifest.files.filter(file => !file.success).forEach(file => logger.error(`${file.input}: ${file.error}`, { input: file.input }));
+      }
+    }];
+  }
+
+  // Loose files: an edit re-renders only the documents that depend on the changed file
+  return batchConfig.files.map(file => ({
+    label: file.input,
+    inputs: [file.input],
+    build: () => engine.convertFile(file.input, file.output, file.type || detectFileType(file.input, engine), batchConfig.options)
+  }));
+}
+
+// Conversion options for --input, shared with --watch
+async function readFileOptions(args) {
+  // config.pdf defaults are applied by the engine, below any frontmatter
+  const options = {};
+  
+  // Add format-specific options
+  if (args.format) {
+    options.format = args.format; // This will be used by converters
+  }
+  if (args.title) {
+    options.title = args.title;
+  }
+  if (args.template) {
+    options.template = args.template;
+  }
+  if (args.author || args.subject || args.keywords) {
+    options.metadata = { author: args.author, subject: args.subject, keywords: args.keywords };
+  }
+  if (args.header) {
+    options.header = args.header;
+  }
+  if (args.footer) {
+    options.footer = args.footer;
+  }
+  if (args.watermark || args['watermark-image']) {
+    options.watermark = await readWatermarkArgs(args);
+  }
+  
+  // Markdown options
+  if (args.toc) {
+    options.toc = args.toc;
+  }
+  if (args['number-headings']) {
+    options.numberHeadings = args['number-headings'];
+  }
+  if (args['code-theme']) {
+    options.codeTheme = args['code-theme'];
+  }
+  if (args['line-numbers']) {
+    options.lineNumbers = true;
+  }
+  if (args['code-wrap'] !== undefined) {
+    options.codeWrap = args['code-wrap'];
+  }
+  if (args.math !== undefined) {
+    options.math = args.math;
+  }
+  if (args['equation-numbers']) {
+    options.equationNumbers = args['equation-numbers'];
+  }
+  if (args.diagrams !== undefined) {
+    options.diagrams = args.diagrams !== 'false';
+  }
+  if (args['diagram-theme']) {
+    options.diagramTheme = args['diagram-theme'];
+  }
+  
+  // CSV options
+  if (args.delimiter) {
+    options.delimiter = args.delimiter;
+  }
+  if (args.columns) {
+    options.columns = args.columns;
+  }
+  if (args['header-row'] !== undefined) {
+    options.headerRow = args['header-row'];
+  }
+  if (args.encoding) {
+    options.encoding = args.encoding;
+  }
+  if (args['no-cache']) {
+    options.cache = false;
+  }
   
-  return typeMap[ext] || 'text';
+  return mapDeprecatedOptions(options);
+}
+
+async function readWatermarkArgs(args) {
+  const watermark = {
+    opacity: args['watermark-opacity'],
+    rotation: args['watermark-rotation'],
+    position: args['watermark-position'],
+    fontSize: args['watermark-size'],
+    color: args['watermark-color'],
+    pages: args['watermark-pages']
+  };
+  if (args['watermark-image']) {
+    watermark.image = await fs.readFile(args['watermark-image']);
+  } else {
+    watermark.text = String(args.watermark);
+  }
+  return watermark;
+}
+
+function detectFileType(filePath, engine) {
+  const ext = path.extname(filePath).toLowerCase();
+  return engine.registry.typeForExtension(ext) || engine.registry.defaultType;
 }
 
 // Run if this file is executed directly
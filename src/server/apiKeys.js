@@ -0,0 +1,219 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class AuthError extends Error {
+  constructor(message, statusCode = 401, retryAfter = null) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = statusCode === 429 ? 'RATE_LIMITED' : statusCode === 403 ? 'FORBIDDEN' : 'UNAUTHORIZED';
+    this.statusCode = statusCode;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+class ApiKeyStore {
+  constructor(config = {}) {
+    this.config = config;
+    this.defaults = {
+      rateLimit: 60,      // requests per rateWindow
+      rateWindow: 60,     // seconds
+      dailyQuota: 0,      // conversions per UTC day, 0 = unlimited
+      origins: [],        // browser origins allowed to use the key; empty = any
+      ...config.defaults
+    };
+    this.keys = new Map();
+    this.usage = new Map();
+    this.enabled = config.enabled === true;
+  }
+
+  // Keys come from config.keys and, optionally, a JSON file ({ "keys": [...] } or a bare array)
+  async load() {
+    const entries = [...(this.config.keys || [])];
+
+    if (this.config.keysFile) {
+      const file = JSON.parse(await fs.readFile(this.config.keysFile, 'utf-8'));
+      entries.push(...(Array.isArray(file) ? file : file.keys || []));
+    }
+
+    this.keys.clear();
+    entries.forEach(({ key, ...settings }, index) => {
+      if (!key) {
+        throw new Error(`API key entry ${index + 1} has no "key"`);
+      }
+      // Only a hash is kept, so lookups do not compare secrets character by character
+      const hash = hashKey(key);
+      this.keys.set(hash, {
+        ...this.defaults,
+        ...settings,
+        id: hash.slice(0, 12),
+        name: settings.name || `key-${index + 1}`
+      });
+    });
+
+    // Configuring any key turns authentication on unless it is explicitly disabled
+    this.enabled = this.config.enabled ?? this.keys.size > 0;
+    // Open because no keys are configured, rather than because enabled: false says so
+    this.openByDefault = !this.enabled && this.config.enabled === undefined;
+    return this.keys.size;
+  }
+
+  getKeyFromRequest(req) {
+    const header = req.get('authorization');
+    if (header && /^bearer\s+/i.test(header)) {
+      return header.replace(/^bearer\s+/i, '').trim();
+    }
+    return req.get('x-api-key') || null;
+  }
+
+  authenticate(req) {
+    const key = this.getKeyFromRequest(req);
+    if (!key) {
+      throw new AuthError('API key required. Send it as "Authorization: Bearer <key>" or "X-API-Key".');
+    }
+
+    const entry = this.keys.get(hashKey(key));
+    if (!entry || entry.disabled) {
+      throw new AuthError('Invalid API key');
+    }
+
+    const origin = req.get('origin');
+    if (origin && !this.originAllowed(entry, origin)) {
+      throw new AuthError(`Origin ${origin} is not allowed for this API key`, 403);
+    }
+
+    return entry;
+  }
+
+  originAllowed(entry, origin) {
+    return entry.origins.length === 0 || entry.origins.includes('*') || entry.origins.includes(origin);
+  }
+
+  // Preflight requests carry no key, so any origin that some key allows passes CORS
+  corsOrigin(origin, callback) {
+    if (!this.enabled || !origin) {
+      return callback(null, true);
+    }
+    const allowed = Array.from(this.keys.values()).some(entry => this.originAllowed(entry, origin));
+    callback(null, allowed);
+  }
+
+  // Usage counters for the key, with the rate window and the UTC day rolled over as needed
+  usageFor(entry, now) {
+    let usage = this.usage.get(entry.id);
+    if (!usage) {
+      usage = { windowStart: now, requests: 0, day: Math.floor(now / DAY_MS), conversions: 0 };
+      this.usage.set(entry.id, usage);
+    }
+
+    if (now - usage.windowStart >= entry.rateWindow * 1000) {
+      usage.windowStart = now;
+      usage.requests = 0;
+    }
+    const day = Math.floor(now / DAY_MS);
+    if (day !== usage.day) {
+      usage.day = day;
+      usage.conversions = 0;
+    }
+    return usage;
+  }
+
+  quotaError(usage, now, message) {
+    const retryAfter = Math.ceil(((usage.day + 1) * DAY_MS - now) / 1000);
+    return new AuthError(message, 429, retryAfter);
+  }
+
+  /**
+   * Count a request against the key's rate limit. With checksQuota (requests that may
+   * render), also refuse it up front once the daily quota is used up; the documents
+   * themselves are charged by chargeQuota() once the handler knows how many there are.
+   * Throws a 429 AuthError with retryAfter (seconds) when either is exhausted.
+   */
+  consume(entry, { checksQuota = false, now = Date.now() } = {}) {
+    const usage = this.usageFor(entry, now);
+
+    if (entry.rateLimit > 0 && usage.requests >= entry.rateLimit) {
+      const retryAfter = Math.ceil((usage.windowStart + entry.rateWindow * 1000 - now) / 1000);
+      throw new AuthError(`Rate limit exceeded (${entry.rateLimit} requests per ${entry.rateWindow}s)`, 429, retryAfter);
+    }
+    if (checksQuota && entry.dailyQuota > 0 && usage.conversions >= entry.dailyQuota) {
+      throw this.quotaError(usage, now, `Daily quota exceeded (${entry.dailyQuota} conversions per day)`);
+    }
+
+    usage.requests++;
+
+    return {
+      limit: entry.rateLimit,
+      remaining: entry.rateLimit > 0 ? entry.rateLimit - usage.requests : null,
+      quotaRemaining: entry.dailyQuota > 0 ? entry.dailyQuota - usage.conversions : null
+    };
+  }
+
+  /**
+   * Charge `documents` conversions to the request's key, e.g. every file of a batch.
+   * A request the remaining quota cannot cover is refused whole with a 429 AuthError
+   * and charges nothing. Without authentication this does nothing.
+   */
+  chargeQuota(req, res, documents, { now = Date.now() } = {}) {
+    const entry = req.apiKey;
+    if (!entry || documents <= 0) {
+      return;
+    }
+
+    const usage = this.usageFor(entry, now);
+    if (entry.dailyQuota > 0 && usage.conversions + documents > entry.dailyQuota) {
+      const left = entry.dailyQuota - usage.conversions;
+      throw this.quotaError(usage, now,
+        `Daily quota exceeded: this request needs ${documents} conversion${documents === 1 ? '' : 's'}, ${left} of ${entry.dailyQuota} left today`);
+    }
+
+    usage.conversions += documents;
+    if (entry.dailyQuota > 0) {
+      res.setHeader('X-Quota-Remaining', entry.dailyQuota - usage.conversions);
+    }
+  }
+
+  middleware() {
+    return (req, res, next) => {
+      if (!this.enabled || req.method === 'OPTIONS') {
+        return next();
+      }
+
+      try {
+        const entry = this.authenticate(req);
+        // Only POSTs may render, so status polls and downloads are not refused for an empty quota
+        const usage = this.consume(entry, { checksQuota: req.method === 'POST' });
+
+        if (usage.remaining !== null) {
+          res.setHeader('X-RateLimit-Limit', usage.limit);
+          res.setHeader('X-RateLimit-Remaining', usage.remaining);
+        }
+        if (usage.quotaRemaining !== null) {
+          res.setHeader('X-Quota-Remaining', usage.quotaRemaining);
+        }
+
+        req.apiKey = entry;
+        next();
+      } catch (error) {
+        res.locals.error = error.message;
+        if (error.statusCode === 401) {
+          res.setHeader('WWW-Authenticate', 'Bearer realm="pdf-generation-engine"');
+        }
+        if (error.retryAfter !== null && error.retryAfter !== undefined) {
+          res.setHeader('Retry-After', error.retryAfter);
+        }
+        res.status(error.statusCode || 401).json({
+          error: error.statusCode === 429 ? 'Too many requests' : error.statusCode === 403 ? 'Forbidden' : 'Unauthorized',
+          message: error.message
+        });
+      }
+    };
+  }
+}
+
+export default ApiKeyStore;
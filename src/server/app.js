@@ -3,12 +3,26 @@ import multer from 'multer';
 import cors from 'cors';
 import fs from 'fs/promises';
 import path from 'path';
+import { randomUUID } from 'crypto';
 import { fileURLToPath } from 'url';
-import { sanitizeFilename, detectContentType, validatePdfOptions, logProgress } from '../utils/helpers.js';
+import JobManager from './jobManager.js';
+import ApiKeyStore from './apiKeys.js';
+import { registry, rendersInFlight, renderQueueDepth, startTimer } from '../utils/metrics.js';
+import { logger } from '../utils/logger.js';
+import { isPdf } from '../utils/pdfTools.js';
+import BatchArchive from '../utils/batchArchive.js';
+import FileWatcher from '../utils/fileWatcher.js';
+import { resolvePreviewOptions, previewFilename } from '../generators/pagePreview.js';
+import {
+  sanitizeFilename, validatePdfOptions, mapDeprecatedOptions, getTemplateFingerprint, TEMPLATES_DIR
+} from '../utils/helpers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Incoming X-Request-Id values are reused only if they are short and log-safe
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({ 
@@ -18,27 +32,94 @@ const upload = multer({
   }
 });
 
-class PDFServer {
+// Parts (uploaded files or JSON entries) one merge request may combine
+const MAX_MERGE_PARTS = 50;
+// Files one /api/batch request may convert
+const MAX_BATCH_FILES = 100;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_OPTIONS', statusCode: 400 });
+}
+
+// Multipart form fields arrive as strings; JSON ones are parsed here so a typo is a 400, not a 500
+function parseJsonField(value, name) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw badRequest(`Invalid JSON in "${name}": ${error.message}`);
+  }
+}
+
+export class PDFServer {
   constructor(pdfEngine, config = {}) {
     this.pdfEngine = pdfEngine;
     this.config = config;
     this.app = express();
+    this.jobs = new JobManager(config.jobs);
+    this.apiKeys = new ApiKeyStore(config.auth);
+    this.collectMetrics();
     this.setupMiddleware();
     this.setupRoutes();
   }
 
+  collectMetrics() {
+    this.stopCollecting = registry.onCollect(() => {
+      const stats = this.pdfEngine.pdfGenerator.pool.stats();
+      rendersInFlight.set({}, stats.active);
+      renderQueueDepth.set({ queue: 'pages' }, stats.queued);
+      renderQueueDepth.set({ queue: 'jobs' }, this.jobs.pending.length);
+    });
+  }
+
   setupMiddleware() {
-    this.app.use(cors());
+    // Every response, including auth failures, carries the request ID
+    this.app.use((req, res, next) => {
+      const incoming = req.get('x-request-id');
+      req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+      req.log = logger.child({ requestId: req.id });
+      res.setHeader('X-Request-Id', req.id);
+      next();
+    });
+
+    this.app.use(cors({
+      origin: this.apiKeys.corsOrigin.bind(this.apiKeys),
+      exposedHeaders: ['X-Request-Id', 'ETag', 'X-Page-Count']
+    }));
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+    // Deprecated option names are mapped once here, so handlers only read the current ones;
+    // multipart bodies are parsed per route and mapped in their handlers
+    this.app.use((req, res, next) => {
+      const body = req.body;
+      if (body?.options && typeof body.options === 'object') {
+        body.options = mapDeprecatedOptions(body.options, req.log);
+      }
+      if (Array.isArray(body?.parts)) {
+        body.parts = body.parts.map(part => (part?.options ? { ...part, options: mapDeprecatedOptions(part.options, req.log) } : part));
+      }
+      next();
+    });
     
     // Serve static files from public directory
     const publicDir = path.join(process.cwd(), 'public');
     this.app.use(express.static(publicDir));
     
-    // Request logging
+    // Request logging, once the response has been sent
     this.app.use((req, res, next) => {
-      logProgress(`${req.method} ${req.path}`, 'info');
+      const elapsed = startTimer();
+      res.on('finish', () => {
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        req.log[level](`${req.method} ${req.path} ${res.statusCode}`, {
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          bytes: Number(res.getHeader('content-length')) || undefined,
+          durationMs: Math.round(elapsed() * 1000),
+          apiKey: req.apiKey?.name,
+          error: res.locals.error
+        });
+      });
       next();
     });
   }
@@ -49,15 +130,35 @@ class PDFServer {
       res.json({ 
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        version: '1.0.0'
+        version: '1.0.0',
+        renderPool: this.pdfEngine.pdfGenerator.pool.stats()
       });
     });
 
+    // Prometheus scrape endpoint; once API keys are on, it needs an admin key
+    this.app.get('/metrics', this.apiKeys.middleware(), this.requireAdmin.bind(this), this.handleMetrics.bind(this));
+
+    // Everything under /api needs a key once any are configured; /health and the web page stay public
+    this.app.use('/api', this.apiKeys.middleware());
+
     // API routes
     this.app.post('/api/convert', this.handleConvert.bind(this));
     this.app.post('/api/upload', upload.single('file'), this.handleUpload.bind(this));
+    this.app.post('/api/convert-url', this.handleConvertUrl.bind(this));
+    this.app.post('/api/preview', this.handlePreview.bind(this));
     this.app.get('/api/formats', this.handleGetFormats.bind(this));
     this.app.post('/api/batch', this.handleBatch.bind(this));
+    this.app.post('/api/merge', upload.array('files', MAX_MERGE_PARTS), this.handleMerge.bind(this));
+
+    // Asynchronous jobs
+    this.app.post('/api/jobs', this.handleCreateJob.bind(this));
+    this.app.get('/api/jobs/:id', this.handleGetJob.bind(this));
+    this.app.get('/api/jobs/:id/result', this.handleGetJobResult.bind(this));
+    this.app.delete('/api/jobs/:id', this.handleCancelJob.bind(this));
+
+    // Render cache administration
+    this.app.get('/api/cache', this.requireAdmin.bind(this), this.handleGetCache.bind(this));
+    this.app.delete('/api/cache', this.requireAdmin.bind(this), this.handlePurgeCache.bind(this));
 
     // Web interface
     this.app.get('/', this.handleHome.bind(this));
@@ -66,6 +167,11 @@ class PDFServer {
     this.app.use(this.handleError.bind(this));
   }
 
+  handleMetrics(req, res) {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(registry.render());
+  }
+
   async handleConvert(req, res) {
     try {
       const { content, type, options = {} } = req.body;
@@ -75,7 +181,7 @@ class PDFServer {
       }
 
       // Auto-detect content type if not provided
-      const contentType = type || detectContentType(content);
+      const contentType = type || this.pdfEngine.detectContentType(content);
       
       // Validate PDF options (excluding converter-specific options like format)
       const { format, title, ...pdfOnlyOptions } = options;
@@ -87,10 +193,15 @@ class PDFServer {
         });
       }
 
-      logProgress(`Converting ${contentType} content to PDF${format ? ` (format: ${format})` : ''}`, 'info');
+      if (await this.checkNotModified(req, res, content, contentType, options)) {
+        return;
+      }
+      this.apiKeys.chargeQuota(req, res, 1);
+
+      req.log.info(`Converting ${contentType} content to PDF`, { type: contentType, format });
       
       // Generate PDF with all options
-      const pdfBuffer = await this.pdfEngine.convertToPDF(content, contentType, options);
+      const pdfBuffer = await this.pdfEngine.convertToPDF(content, contentType, options, { requestId: req.id });
       
       // Set response headers
       const filename = sanitizeFilename(options.filename || `document-${Date.now()}.pdf`);
@@ -98,36 +209,153 @@ class PDFServer {
       res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
       res.setHeader('Content-Length', pdfBuffer.length);
       
-      logProgress(`PDF generated successfully: ${filename}`, 'success');
       res.send(pdfBuffer);
 
     } catch (error) {
-      logProgress(`Conversion error: ${error.message}`, 'error');
-      res.status(500).json({ 
+      this.sendError(res, error, { 
         error: 'PDF generation failed',
         message: error.message
       });
     }
   }
 
+  // One page answers with the image itself; several with JSON (base64) or, on request, a ZIP
+  async handlePreview(req, res) {
+    try {
+      const { content, type, options = {}, pages, width, format } = req.body;
+
+      if (!content) {
+        return res.status(400).json({ error: 'Content is required' });
+      }
+
+      const contentType = type || this.pdfEngine.detectContentType(content);
+      const { format: displayFormat, title, ...pdfOnlyOptions } = options;
+      const validationErrors = validatePdfOptions(pdfOnlyOptions);
+      if (validationErrors.length > 0) {
+        return res.status(400).json({ 
+          error: 'Invalid PDF options',
+          details: validationErrors
+        });
+      }
+      const preview = resolvePreviewOptions({ pages, width, format });
+      this.apiKeys.chargeQuota(req, res, 1);
+
+      req.log.info(`Rendering ${contentType} preview`, { type: contentType, pages: preview.pages, format: preview.format });
+      const { pageCount, images } = await this.pdfEngine.convertToPreview(content, contentType, options, preview, { requestId: req.id });
+      res.setHeader('X-Page-Count', pageCount);
+
+      if (images.length === 1) {
+        const [image] = images;
+        res.setHeader('Content-Type', `image/${image.format}`);
+        res.setHeader('Content-Disposition', `inline; filename="${previewFilename(image)}"`);
+        res.setHeader('Content-Length', image.buffer.length);
+        return res.send(image.buffer);
+      }
+
+      if (req.query.format === 'zip' || req.accepts(['application/json', 'application/zip']) === 'application/zip') {
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="preview-${Date.now()}.zip"`);
+        const archive = new BatchArchive(res);
+        images.forEach((image, index) => {
+          archive.addFile(index, previewFilename(image), image.buffer, { page: image.page, width: image.width, height: image.height });
+        });
+        await archive.finalize({ pageCount });
+        return;
+      }
+
+      res.json({
+        pageCount,
+        format: preview.format,
+        images: images.map(({ page, width: imageWidth, height, buffer }) => ({
+          page,
+          width: imageWidth,
+          height,
+          data: buffer.toString('base64')
+        }))
+      });
+
+    } catch (error) {
+      if (res.headersSent) {
+        req.log.error('Preview ZIP failed', { error: error.message });
+        return res.destroy(error);
+      }
+      this.sendError(res, error, { 
+        error: 'Preview generation failed',
+        message: error.message
+      });
+    }
+  }
+
+  async handleConvertUrl(req, res) {
+    try {
+      const { url, options = {} } = req.body;
+
+      if (!url) {
+        return res.status(400).json({ error: 'URL is required' });
+      }
+
+      const validationErrors = validatePdfOptions(options);
+      if (validationErrors.length > 0) {
+        return res.status(400).json({ 
+          error: 'Invalid PDF options',
+          details: validationErrors
+        });
+      }
+
+      this.apiKeys.chargeQuota(req, res, 1);
+      req.log.info('Converting URL to PDF', { url });
+      
+      const pdfBuffer = await this.pdfEngine.convertUrlToPDF(url, options, { requestId: req.id });
+      
+      const filename = sanitizeFilename(options.filename || `${new URL(url).hostname}.pdf`);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Length', pdfBuffer.length);
+      
+      res.send(pdfBuffer);
+
+    } catch (error) {
+      this.sendError(res, error, { 
+        error: 'URL conversion failed',
+        message: error.message
+      });
+    }
+  }
+
   async handleUpload(req, res) {
     try {
       if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
       }
 
-      const { type, ...options } = req.body;
-      const content = req.file.buffer.toString('utf-8');
+      const { type, ...fields } = req.body;
+      const options = mapDeprecatedOptions(fields, req.log);
+      
+      // Form fields are strings; a watermark may be plain text or a JSON object
+      if (typeof options.watermark === 'string' && options.watermark.trim().startsWith('{')) {
+        options.watermark = parseJsonField(options.watermark, 'watermark');
+      }
+      if (options.cache === 'false') {
+        options.cache = false;
+      }
       
-      // Auto-detect content type from file extension or content
+      // Auto-detect content type from file extension, MIME type or content
       const fileExt = path.extname(req.file.originalname).toLowerCase();
-      const detectedType = this.getTypeFromExtension(fileExt) || detectContentType(content);
-      const contentType = type || detectedType;
+      const contentType = type ||
+        this.getTypeFromExtension(fileExt) ||
+        this.pdfEngine.registry.typeForMimeType(req.file.mimetype) ||
+        this.pdfEngine.detectContentType(req.file.buffer.toString('utf-8'));
+      const content = this.pdfEngine.decodeContent(req.file.buffer, contentType, options);
+
+      if (await this.checkNotModified(req, res, content, contentType, options)) {
+        return;
+      }
+      this.apiKeys.chargeQuota(req, res, 1);
 
-      logProgress(`Processing uploaded file: ${req.file.originalname} (${contentType})`, 'info');
+      req.log.info('Processing uploaded file', { file: req.file.originalname, type: contentType, size: req.file.size });
       
       // Generate PDF
-      const pdfBuffer = await this.pdfEngine.convertToPDF(content, contentType, options);
+      const pdfBuffer = await this.pdfEngine.convertToPDF(content, contentType, options, { requestId: req.id });
       
       // Generate filename
       const baseName = path.basename(req.file.originalname, path.extname(req.file.originalname));
@@ -137,12 +365,10 @@ class PDFServer {
       res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
       res.setHeader('Content-Length', pdfBuffer.length);
       
-      logProgress(`File converted successfully: ${filename}`, 'success');
       res.send(pdfBuffer);
 
     } catch (error) {
-      logProgress(`Upload conversion error: ${error.message}`, 'error');
-      res.status(500).json({ 
+      this.sendError(res, error, { 
         error: 'File conversion failed',
         message: error.message
       });
@@ -151,64 +377,371 @@ class PDFServer {
 
   async handleBatch(req, res) {
     try {
-      const { files, options = {} } = req.body;
+      const { files, options = {}, concurrency, failFast = false } = req.body;
 
       if (!Array.isArray(files) || files.length === 0) {
         return res.status(400).json({ error: 'Files array is required' });
       }
+      if (files.length > MAX_BATCH_FILES) {
+        throw badRequest(`Too many files: ${files.length} (limit: ${MAX_BATCH_FILES})`);
+      }
+
+      // Every file is a conversion, so the whole batch must fit in the key's remaining quota
+      this.apiKeys.chargeQuota(req, res, files.length);
+      const batchOptions = { concurrency, failFast: failFast === true || failFast === 'true' };
+
+      // Accept: application/zip or ?format=zip streams an archive instead of base64 JSON
+      if (req.query.format === 'zip' || req.accepts(['application/json', 'application/zip']) === 'application/zip') {
+        return this.streamBatchZip(req, res, files, options, batchOptions);
+      }
 
-      logProgress(`Processing batch of ${files.length} files`, 'info');
+      const parallel = this.pdfEngine.resolveConcurrency(concurrency);
+      req.log.info(`Processing batch of ${files.length} files`, { files: files.length, concurrency: parallel });
+      const elapsed = startTimer();
       
-      const results = [];
+      const outcomes = await this.pdfEngine.runBatch(
+        files,
+        (file) => this.convertBatchFile(req, file, options),
+        batchOptions
+      );
       
-      for (let i = 0; i < files.length; i++) {
-        const file = files[i];
-        try {
-          const { content, type, filename } = file;
-          const contentType = type || detectContentType(content);
-          
-          const pdfBuffer = await this.pdfEngine.convertToPDF(content, contentType, options);
-          
-          results.push({
-            index: i,
-            filename: filename || `document-${i + 1}.pdf`,
-            success: true,
-            size: pdfBuffer.length,
-            pdf: pdfBuffer.toString('base64')
-          });
-          
-        } catch (error) {
-          results.push({
-            index: i,
-            filename: file.filename || `document-${i + 1}.pdf`,
-            success: false,
-            error: error.message
-          });
-        }
-      }
+      const results = outcomes.map(({ index, success, value, error, skipped, durationMs }) => {
+        const filename = files[index].filename || `document-${index + 1}.pdf`;
+        return success
+          ? { index, filename, success: true, size: value.length, durationMs, pdf: value.toString('base64') }
+          : { index, filename, success: false, error, skipped, durationMs };
+      });
       
       const successCount = results.filter(r => r.success).length;
-      logProgress(`Batch processing complete: ${successCount}/${files.length} successful`, 'success');
+      const durationMs = Math.round(elapsed() * 1000);
+      req.log.success(`Batch processing complete: ${successCount}/${files.length} successful`, {
+        files: files.length,
+        succeeded: successCount,
+        durationMs
+      });
       
       res.json({
         success: true,
         totalFiles: files.length,
         successCount,
+        concurrency: parallel,
+        durationMs,
         results
       });
 
     } catch (error) {
-      logProgress(`Batch processing error: ${error.message}`, 'error');
-      res.status(500).json({ 
+      this.sendError(res, error, { 
         error: 'Batch processing failed',
         message: error.message
       });
     }
   }
 
+  convertBatchFile(req, file, options, signal) {
+    const contentType = file.type || this.pdfEngine.detectContentType(file.content);
+    return this.pdfEngine.convertToPDF(file.content, contentType, options, { requestId: req.id, signal });
+  }
+
+  async streamBatchZip(req, res, files, options, batchOptions) {
+    const parallel = this.pdfEngine.resolveConcurrency(batchOptions.concurrency);
+    req.log.info(`Streaming batch of ${files.length} files as ZIP`, { files: files.length, concurrency: parallel });
+    const elapsed = startTimer();
+
+    // Stop rendering once the client goes away
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="batch-${Date.now()}.zip"`);
+    const archive = new BatchArchive(res);
+    const filenames = files.map((file, index) => file.filename || `document-${index + 1}.pdf`);
+
+    // Each PDF is written as soon as it is ready; the manifest keeps input order
+    const outcomes = await this.pdfEngine.runBatch(files, async (file, index) => {
+      const pdfBuffer = await this.convertBatchFile(req, file, options, controller.signal);
+      archive.addPdf(index, filenames[index], pdfBuffer);
+    }, { ...batchOptions, signal: controller.signal });
+
+    if (controller.signal.aborted) {
+      archive.abort();
+      req.log.warn('Client disconnected before the batch ZIP was complete');
+      return;
+    }
+
+    outcomes.forEach(({ index, success, error, skipped, durationMs }) => {
+      if (success) {
+        Object.assign(archive.files[index], { durationMs });
+      } else {
+        archive.addError(index, filenames[index], error, { skipped, durationMs });
+      }
+    });
+
+    try {
+      const manifest = await archive.finalize({ concurrency: parallel, durationMs: Math.round(elapsed() * 1000) });
+      req.log.success(`Batch processing complete: ${manifest.successCount}/${files.length} successful`, {
+        files: files.length,
+        succeeded: manifest.successCount,
+        durationMs: manifest.durationMs
+      });
+    } catch (error) {
+      // Headers are already sent, so the only signal left is a truncated response
+      req.log.error('Batch ZIP failed', { error: error.message });
+      res.destroy(error);
+    }
+  }
+
+  async handleMerge(req, res) {
+    try {
+      const parts = req.files && req.files.length > 0
+        ? this.getMergePartsFromUploads(req.files, req.body)
+        : this.getMergePartsFromJson(req.body.parts);
+
+      if (parts.length === 0) {
+        return res.status(400).json({ error: 'Parts array or uploaded files are required' });
+      }
+
+      const options = typeof req.body.options === 'string'
+        ? mapDeprecatedOptions(parseJsonField(req.body.options, 'options'), req.log)
+        : (req.body.options || {});
+      const separator = typeof req.body.separator === 'string' && req.body.separator.startsWith('{')
+        ? parseJsonField(req.body.separator, 'separator')
+        : req.body.separator;
+
+      const validationErrors = validatePdfOptions(options);
+      if (validationErrors.length > 0) {
+        return res.status(400).json({ 
+          error: 'Invalid PDF options',
+          details: validationErrors
+        });
+      }
+
+      // Parts that are already PDFs are not rendered; the merge itself counts as one conversion
+      this.apiKeys.chargeQuota(req, res, Math.max(1, parts.filter(part => !part.pdf).length));
+      req.log.info(`Merging ${parts.length} parts into one PDF`, { parts: parts.length });
+      
+      const pdfBuffer = await this.pdfEngine.mergeToPDF(parts, { ...options, separator }, { requestId: req.id });
+      
+      const filename = sanitizeFilename(options.filename || `merged-${Date.now()}.pdf`);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Length', pdfBuffer.length);
+      
+      res.send(pdfBuffer);
+
+    } catch (error) {
+      this.sendError(res, error, { 
+        error: 'PDF merge failed',
+        message: error.message
+      });
+    }
+  }
+
+  getMergePartsFromJson(parts) {
+    if (!Array.isArray(parts)) {
+      return [];
+    }
+    if (parts.length > MAX_MERGE_PARTS) {
+      throw badRequest(`Too many parts: ${parts.length} (limit: ${MAX_MERGE_PARTS})`);
+    }
+
+    return parts.map((part, index) => {
+      if (part?.pdf) {
+        const pdf = typeof part.pdf === 'string' ? Buffer.from(part.pdf, 'base64') : null;
+        if (!pdf || !isPdf(pdf)) {
+          throw badRequest(`Part ${index + 1}: "pdf" must be a base64-encoded PDF`);
+        }
+        return { pdf };
+      }
+      if (!part?.content) {
+        throw badRequest(`Part ${index + 1} needs content or pdf`);
+      }
+
+      const { format, title, ...pdfOnlyOptions } = part.options || {};
+      const validationErrors = validatePdfOptions(pdfOnlyOptions);
+      if (validationErrors.length > 0) {
+        throw badRequest(`Part ${index + 1} has invalid PDF options: ${validationErrors.join('; ')}`);
+      }
+      return { content: part.content, type: part.type, options: part.options };
+    });
+  }
+
+  getMergePartsFromUploads(files, body) {
+    // Optional per-file types, in upload order: types=markdown,json,
+    const types = (body.types || '').split(',');
+
+    return files.map((file, index) => {
+      if (isPdf(file.buffer)) {
+        return { pdf: file.buffer };
+      }
+
+      const fileExt = path.extname(file.originalname).toLowerCase();
+      const type = types[index] ||
+        this.getTypeFromExtension(fileExt) ||
+        this.pdfEngine.registry.typeForMimeType(file.mimetype) ||
+        this.pdfEngine.detectContentType(file.buffer.toString('utf-8'));
+
+      return { content: this.pdfEngine.decodeContent(file.buffer, type), type };
+    });
+  }
+
+  handleCreateJob(req, res) {
+    try {
+      const { content, type, options = {} } = req.body;
+
+      if (!content) {
+        return res.status(400).json({ error: 'Content is required' });
+      }
+
+      const contentType = type || this.pdfEngine.detectContentType(content);
+
+      const { format, title, ...pdfOnlyOptions } = options;
+      const validationErrors = validatePdfOptions(pdfOnlyOptions);
+      if (validationErrors.length > 0) {
+        return res.status(400).json({ 
+          error: 'Invalid PDF options',
+          details: validationErrors
+        });
+      }
+
+      const filename = sanitizeFilename(options.filename || `document-${Date.now()}.pdf`);
+      this.apiKeys.chargeQuota(req, res, 1);
+      const job = this.jobs.create(
+        (context) => this.pdfEngine.convertToPDF(content, contentType, options, { ...context, requestId: req.id }),
+        { filename, owner: req.apiKey?.id }
+      );
+
+      req.log.info(`Queued job ${job.id}`, { jobId: job.id, type: contentType });
+
+      res.status(202)
+        .setHeader('Location', `/api/jobs/${job.id}`)
+        .json({
+          ...this.jobs.toJSON(job),
+          statusUrl: `/api/jobs/${job.id}`,
+          resultUrl: `/api/jobs/${job.id}/result`
+        });
+
+    } catch (error) {
+      this.sendError(res, error, {
+        error: 'Job creation failed',
+        message: error.message
+      });
+    }
+  }
+
+  // A job belongs to the key that created it (admin keys may see all); others get the same 404 as a missing job
+  findJob(req, res) {
+    const job = this.jobs.get(req.params.id);
+    if (!job || (job.owner && job.owner !== req.apiKey?.id && !req.apiKey?.admin)) {
+      res.status(404).json({ error: 'Job not found or expired' });
+      return null;
+    }
+    return job;
+  }
+
+  handleGetJob(req, res) {
+    const job = this.findJob(req, res);
+    if (!job) {
+      return;
+    }
+
+    res.json(this.jobs.toJSON(job));
+  }
+
+  handleGetJobResult(req, res) {
+    const job = this.findJob(req, res);
+    if (!job) {
+      return;
+    }
+
+    if (job.status !== 'done') {
+      return res.status(409).json({
+        error: `Job is ${job.status}`,
+        job: this.jobs.toJSON(job)
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${job.filename}"`);
+    res.setHeader('Content-Length', job.result.length);
+    res.send(job.result);
+  }
+
+  handleCancelJob(req, res) {
+    if (!this.findJob(req, res)) {
+      return;
+    }
+    const job = this.jobs.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found or expired' });
+    }
+
+    req.log.info(`Job ${job.id} ${job.status === 'cancelled' ? 'cancelled' : 'deleted'}`, { jobId: job.id });
+    res.json(this.jobs.toJSON(job));
+  }
+
+  /**
+   * Set a content-addressed ETag and answer 304 when If-None-Match already has it.
+   * The ETag depends only on the inputs, so this is decided before rendering.
+   * Clients send Cache-Control: no-cache with every conditional request, so only
+   * options.cache = false skips the check.
+   */
+  async checkNotModified(req, res, content, type, options) {
+    const etag = `"${await this.pdfEngine.getCacheKey(content, type, options)}"`;
+    res.setHeader('ETag', etag);
+
+    const ifNoneMatch = req.get('if-none-match');
+    if (!ifNoneMatch || options.cache === false) {
+      return false;
+    }
+
+    const tags = ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    if (tags.includes(etag) || tags.includes('*')) {
+      res.status(304).end();
+      return true;
+    }
+    return false;
+  }
+
+  // Once authentication is on, cache administration needs a key with "admin": true
+  requireAdmin(req, res, next) {
+    if (this.apiKeys.enabled && !req.apiKey?.admin) {
+      res.locals.error = 'Admin API key required';
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'This endpoint needs an API key with "admin": true'
+      });
+    }
+    next();
+  }
+
+  handleGetCache(req, res) {
+    if (!this.pdfEngine.cache) {
+      return res.json({ enabled: false });
+    }
+    res.json({ enabled: true, ...this.pdfEngine.cache.stats() });
+  }
+
+  async handlePurgeCache(req, res) {
+    if (!this.pdfEngine.cache) {
+      return res.status(404).json({ error: 'Render cache is not enabled' });
+    }
+
+    try {
+      const purged = await this.pdfEngine.cache.purge();
+      req.log.info('Render cache purged', purged);
+      res.json({ purged, ...this.pdfEngine.cache.stats() });
+    } catch (error) {
+      this.sendError(res, error, {
+        error: 'Cache purge failed',
+        message: error.message
+      });
+    }
+  }
+
   handleGetFormats(req, res) {
     res.json({
-      supportedTypes: ['text', 'html', 'json', 'markdown'],
+      supportedTypes: this.pdfEngine.registry.types(),
+      converters: this.pdfEngine.registry.describe(),
       pdfFormats: ['A4', 'A3', 'A5', 'Legal', 'Letter', 'Tabloid'],
       defaultOptions: {
         format: 'A4',
@@ -224,6 +757,11 @@ class PDFServer {
   }
 
   async handleHome(req, res) {
+    const typeOptions = this.pdfEngine.registry.describe()
+      .map(({ type, label }) => `<option value="${type}">${label}</option>`)
+      .join('\n                                ');
+    const acceptedExtensions = this.pdfEngine.registry.extensions().join(',');
+
     const html = `
     <!DOCTYPE html>
     <html lang="en">
@@ -272,10 +810,7 @@ class PDFServer {
                         <div class="form-group">
                             <label for="contentType">Content Type:</label>
                             <select id="contentType" name="type" onchange="toggleFormatOptions()">
-                                <option value="text">Plain Text</option>
-                                <option value="html">HTML</option>
-                                <option value="json">JSON</option>
-                                <option value="markdown">Markdown</option>
+                                ${typeOptions}
                             </select>
                         </div>
                         
@@ -318,17 +853,14 @@ class PDFServer {
                     <form id="uploadForm" enctype="multipart/form-data">
                         <div class="form-group">
                             <label for="file">Select File:</label>
-                            <input type="file" id="file" name="file" accept=".txt,.html,.json,.md,.markdown">
+                            <input type="file" id="file" name="file" accept="${acceptedExtensions}">
                         </div>
                         
                         <div class="form-group">
                             <label for="uploadType">Force Content Type (optional):</label>
                             <select id="uploadType" name="type">
                                 <option value="">Auto-detect</option>
-                                <option value="text">Plain Text</option>
-                                <option value="html">HTML</option>
-                                <option value="json">JSON</option>
-                                <option value="markdown">Markdown</option>
+                                ${typeOptions}
                             </select>
                         </div>
                         
@@ -344,6 +876,8 @@ class PDFServer {
                 <div class="section">
                     <h2>API Documentation</h2>
                     
+                    <p>When API keys are configured, send <code>Authorization: Bearer &lt;key&gt;</code> or <code>X-API-Key</code> with every <code>/api</code> request. Missing or unknown keys get <code>401</code>; exceeding the rate limit or daily quota gets <code>429</code> with <code>Retry-After</code>.</p>
+                    
                     <h3>POST /api/convert</h3>
                     <div class="example">
                         <pre>{
@@ -370,11 +904,41 @@ class PDFServer {
                         <li><strong>raw</strong>: Plain JSON with syntax highlighting</li>
                     </ul>
                     
+                    <h4>Page Setup:</h4>
+                    <p><code>"pageFormat"</code> (A4, Letter, ...), <code>"orientation"</code> (portrait or landscape) and <code>"margin"</code>. Markdown frontmatter may set these too; options in the request take precedence.</p>
+                    
+                    <h4>Watermarks:</h4>
+                    <p>Set <code>"watermark"</code> to text (<code>"DRAFT"</code>) or an object: <code>{ "text": "CONFIDENTIAL – {{recipient}}", "opacity": 0.15, "rotation": 45, "position": "center", "fontSize": 72, "color": "#c0392b", "pages": "1-3" }</code>. Use <code>"image"</code> with a base64 PNG or JPEG instead of <code>"text"</code>. For /api/upload send it as a form field.</p>
+                    
+                    <h4>Headers and Footers:</h4>
+                    <p>Set <code>"header"</code> or <code>"footer"</code> in options to a preset: <code>page-x-of-y</code>, <code>page-number</code>, <code>title-date</code>, <code>title-page</code>, <code>author-date</code> or <code>confidential</code>. Margins are widened automatically.</p>
+                    
+                    <h3>POST /api/convert-url</h3>
+                    <p>Render a web page: <code>{ "url": "https://example.com", "options": { "format": "A4", "margin": {...} } }</code>. Private and link-local destinations are blocked.</p>
+                    
+                    <h3>POST /api/preview</h3>
+                    <p>Page images instead of a PDF: the /api/convert body plus <code>"pages"</code> (<code>"1"</code>, <code>"1-3,5"</code> or <code>"all"</code>; default 1), <code>"width"</code> in pixels and <code>"format"</code> (png or jpeg). One page returns the image; several return JSON with base64 images, or a ZIP with <code>?format=zip</code>. <code>X-Page-Count</code> holds the document's page count.</p>
+                    
                     <h3>POST /api/upload</h3>
                     <p>Upload a file with form data. Include 'file' field and optional 'type' field.</p>
                     
                     <h3>GET /api/formats</h3>
                     <p>Get supported formats and default options.</p>
+                    
+                    <h3>POST /api/merge</h3>
+                    <p>Combine several inputs into one PDF: <code>{ "parts": [{ "content": "...", "type": "markdown", "options": {...} }, { "pdf": "&lt;base64&gt;" }], "separator": true }</code>, or upload <code>files</code> (existing PDFs are included as-is).</p>
+                    
+                    <h3>POST /api/jobs</h3>
+                    <p>Same body as /api/convert. Returns <code>202</code> with a job id immediately instead of waiting for the PDF.</p>
+                    
+                    <h3>GET /api/jobs/:id</h3>
+                    <p>Job status (queued, running, done, failed, cancelled) with progress.</p>
+                    
+                    <h3>GET /api/jobs/:id/result</h3>
+                    <p>Download the finished PDF. Results expire after the configured TTL.</p>
+                    
+                    <h3>DELETE /api/jobs/:id</h3>
+                    <p>Cancel a queued or running job, or discard a finished result.</p>
                 </div>
             </div>
         </div>
@@ -514,48 +1078,95 @@ class PDFServer {
   }
 
   getTypeFromExtension(ext) {
-    const typeMap = {
-      '.txt': 'text',
-      '.html': 'html',
-      '.htm': 'html',
-      '.json': 'json',
-      '.md': 'markdown',
-      '.markdown': 'markdown'
-    };
-    return typeMap[ext];
+    return this.pdfEngine.registry.typeForExtension(ext);
+  }
+
+  sendError(res, error, body) {
+    // Errors from the render pool carry their own HTTP status (e.g. 503 when the queue is full)
+    const status = error.statusCode || 500;
+    res.locals.error = error.message;
+    if (status === 503) {
+      res.setHeader('Retry-After', this.config.retryAfter || 5);
+    } else if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      // 429 from the daily quota (see ApiKeyStore.chargeQuota)
+      res.setHeader('Retry-After', error.retryAfter);
+    }
+    res.status(status).json(body);
   }
 
   handleError(error, req, res, next) {
-    logProgress(`Server error: ${error.message}`, 'error');
+    res.locals.error = error.message;
+    // Upload limits (file size, number of files) are the client's to fix
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        error: 'Upload rejected',
+        message: error.code === 'LIMIT_UNEXPECTED_FILE' ? `Too many files or unexpected field "${error.field}"` : error.message
+      });
+    }
     res.status(500).json({ 
       error: 'Internal server error',
       message: error.message
     });
   }
 
-  start(port = 3000, host = '0.0.0.0') {
+  async start(port = 3000, host = '0.0.0.0') {
     // Use environment port if available
     const serverPort = process.env.PORT || port;
     const serverHost = process.env.HOST || host;
     
+    const keyCount = await this.apiKeys.load();
+    await this.watchTemplates();
+    if (this.apiKeys.enabled) {
+      logger.info(`API key authentication enabled (${keyCount} key${keyCount === 1 ? '' : 's'})`);
+    } else if (this.apiKeys.openByDefault) {
+      logger.warn('API key authentication is off because no keys are configured: anyone who can reach the server may use /api. Set server.auth.enabled to false to run without keys on purpose.');
+    }
+    
     return new Promise((resolve, reject) => {
       this.server = this.app.listen(serverPort, serverHost, (error) => {
         if (error) {
           reject(error);
         } else {
-          logProgress(`Server running at http://${serverHost}:${serverPort}`, 'success');
-          console.log(`✅ Server bound to ${serverHost}:${serverPort} for Render`);
+          logger.success(`Server running at http://${serverHost}:${serverPort}`, { host: serverHost, port: Number(serverPort) });
           resolve({ port: serverPort, host: serverHost });
         }
       });
     });
   }
 
+  // Every ETag check and cache lookup needs a hash of all template files; hash them once
+  // and again whenever the watcher reports a change, instead of reading them per request
+  async watchTemplates() {
+    this.templateWatcher = new FileWatcher(() => this.refreshTemplateFingerprint(), { debounce: 100 });
+    this.templateWatcher.watchDirectory(TEMPLATES_DIR);
+    await this.refreshTemplateFingerprint();
+  }
+
+  async refreshTemplateFingerprint() {
+    // Until the new hash is ready, lookups hash the templates themselves
+    this.pdfEngine.templateFingerprint = null;
+    const pending = this.pendingFingerprint = getTemplateFingerprint();
+    try {
+      const fingerprint = await pending;
+      // A refresh started by a later change wins over this one
+      if (this.pendingFingerprint === pending) {
+        this.pdfEngine.templateFingerprint = fingerprint;
+      }
+    } catch (error) {
+      logger.warn('Cannot hash the templates; they will be hashed per request', { error: error.message });
+    }
+  }
+
   stop() {
+    this.jobs.close();
+    this.stopCollecting();
+    this.templateWatcher?.close();
+    this.pdfEngine.templateFingerprint = null;
+
     return new Promise((resolve) => {
       if (this.server) {
         this.server.close(() => {
-          logProgress('Server stopped', 'info');
+          logger.info('Server stopped');
           resolve();
         });
       } else {
@@ -574,7 +1185,7 @@ export async function startServer(pdfEngine, config = {}) {
   
   // Graceful shutdown
   process.on('SIGINT', async () => {
-    console.log('\n🛑 Shutting down server...');
+    logger.info('Shutting down server...');
     await server.stop();
     process.exit(0);
   });
@@ -0,0 +1,186 @@
+import { randomUUID } from 'crypto';
+import { QueueFullError } from '../generators/pagePool.js';
+import { parseFileSize } from '../utils/helpers.js';
+
+const FINISHED_STATES = ['done', 'failed', 'cancelled'];
+
+class JobManager {
+  constructor(config = {}) {
+    this.concurrency = config.concurrency || 2;
+    this.maxPending = config.maxPending ?? 100;
+    this.resultTtl = (config.resultTtl ?? 3600) * 1000;
+    this.maxResultBytes = parseFileSize(config.maxResultBytes ?? '256MB');
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+    // Finished jobs holding a PDF, oldest first, and their total size
+    this.results = [];
+    this.resultBytes = 0;
+
+    // Periodically drop finished jobs whose results have expired; never more than once a second
+    this.sweeper = setInterval(() => this.expire(), Math.max(Math.min(this.resultTtl, 60 * 1000), 1000));
+    this.sweeper.unref();
+  }
+
+  create(run, meta = {}) {
+    if (this.pending.length >= this.maxPending) {
+      throw new QueueFullError(`Job queue is full (${this.pending.length} pending). Try again later.`);
+    }
+
+    const job = {
+      id: randomUUID(),
+      status: 'queued',
+      stage: 'queued',
+      progress: 0,
+      filename: meta.filename || 'document.pdf',
+      // API key id of the creator, if any; only that key may see the job
+      owner: meta.owner || null,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      error: null,
+      result: null,
+      controller: new AbortController(),
+      run
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.next();
+
+    return job;
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    if (job && job.expiresAt && job.expiresAt <= new Date()) {
+      this.discard(job);
+      return null;
+    }
+    return job || null;
+  }
+
+  cancel(id) {
+    const job = this.get(id);
+    if (!job) {
+      return null;
+    }
+
+    if (FINISHED_STATES.includes(job.status)) {
+      // Cancelling a finished job discards its result
+      this.discard(job);
+      return job;
+    }
+
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter(pendingJob => pendingJob !== job);
+    }
+
+    job.controller.abort();
+    this.finish(job, 'cancelled');
+    return job;
+  }
+
+  next() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      this.execute(this.pending.shift());
+    }
+  }
+
+  async execute(job) {
+    this.running++;
+    job.status = 'running';
+    job.stage = 'starting';
+    job.startedAt = new Date();
+
+    try {
+      const result = await job.run({
+        jobId: job.id,
+        signal: job.controller.signal,
+        onProgress: (stage, progress) => {
+          if (job.status === 'running') {
+            job.stage = stage;
+            job.progress = progress;
+          }
+        }
+      });
+
+      if (job.status === 'running') {
+        job.result = result;
+        job.progress = 100;
+        this.finish(job, 'done');
+        this.keepResult(job);
+      }
+    } catch (error) {
+      if (job.status === 'running') {
+        job.error = error.message;
+        this.finish(job, 'failed');
+      }
+    } finally {
+      this.running--;
+      this.next();
+    }
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.stage = status;
+    job.finishedAt = new Date();
+    job.expiresAt = new Date(job.finishedAt.getTime() + this.resultTtl);
+  }
+
+  // Results past maxResultBytes are dropped oldest first, as if they had expired
+  keepResult(job) {
+    this.results.push(job);
+    this.resultBytes += job.result.length;
+    while (this.resultBytes > this.maxResultBytes && this.results.length > 0) {
+      this.discard(this.results[0]);
+    }
+  }
+
+  discard(job) {
+    this.jobs.delete(job.id);
+    const index = this.results.indexOf(job);
+    if (index !== -1) {
+      this.results.splice(index, 1);
+      this.resultBytes -= job.result.length;
+    }
+  }
+
+  expire() {
+    const now = new Date();
+    for (const job of this.jobs.values()) {
+      if (job.expiresAt && job.expiresAt <= now) {
+        this.discard(job);
+      }
+    }
+  }
+
+  toJSON(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      filename: job.filename,
+      createdAt: job.createdAt.toISOString(),
+      startedAt: job.startedAt ? job.startedAt.toISOString() : null,
+      finishedAt: job.finishedAt ? job.finishedAt.toISOString() : null,
+      expiresAt: job.expiresAt ? job.expiresAt.toISOString() : null,
+      size: job.result ? job.result.length : null,
+      error: job.error
+    };
+  }
+
+  close() {
+    clearInterval(this.sweeper);
+    for (const job of this.jobs.values()) {
+      job.controller.abort();
+    }
+    this.pending = [];
+  }
+}
+
+export default JobManager;
@@ -0,0 +1,77 @@
+import path from 'path';
+import { finished } from 'stream/promises';
+import { ZipArchive } from 'archiver';
+import { sanitizeFilename } from './helpers.js';
+
+/**
+ * ZIP of batch results written to a stream as each document finishes.
+ * finalize() adds manifest.json listing every input, in input order, with its
+ * archive entry or error.
+ */
+class BatchArchive {
+  constructor(output) {
+    this.output = output;
+    this.archive = new ZipArchive({ zlib: { level: 6 } });
+    this.names = new Set(['manifest.json']);
+    this.files = [];
+
+    // Rejects finalize() if the archive itself fails; handled there
+    this.failed = new Promise((resolve, reject) => this.archive.on('error', reject));
+    this.failed.catch(() => {});
+    this.archive.pipe(output);
+  }
+
+  addPdf(index, filename, buffer, details = {}) {
+    return this.addFile(index, filename, buffer, details);
+  }
+
+  // Stored as-is: PDF content streams and PNG/JPEG images are already compressed
+  addFile(index, filename, buffer, details = {}) {
+    const name = this.uniqueName(filename);
+    this.archive.append(buffer, { name, store: true });
+    this.files[index] = { index, filename, success: true, entry: name, size: buffer.length, ...details };
+    return name;
+  }
+
+  addError(index, filename, error, details = {}) {
+    this.files[index] = { index, filename, success: false, error: error.message || String(error), ...details };
+  }
+
+  // Two inputs may ask for the same name, e.g. docs/a/README.pdf and docs/b/README.pdf
+  uniqueName(filename) {
+    const safe = sanitizeFilename(path.basename(filename || 'document.pdf'));
+    const extension = path.extname(safe) || '.pdf';
+    const base = path.basename(safe, path.extname(safe)) || 'document';
+
+    let name = `${base}${extension}`;
+    for (let counter = 2; this.names.has(name); counter++) {
+      name = `${base}-${counter}${extension}`;
+    }
+    this.names.add(name);
+    return name;
+  }
+
+  manifest(extra = {}) {
+    const files = this.files.filter(Boolean);
+    return {
+      createdAt: new Date().toISOString(),
+      totalFiles: files.length,
+      successCount: files.filter(file => file.success).length,
+      ...extra,
+      files
+    };
+  }
+
+  async finalize(extra = {}) {
+    const manifest = this.manifest(extra);
+    this.archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    await Promise.race([this.failed, Promise.all([this.archive.finalize(), finished(this.output)])]);
+    return manifest;
+  }
+
+  abort() {
+    this.archive.abort();
+  }
+}
+
+export default BatchArchive;
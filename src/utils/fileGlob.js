@@ -0,0 +1,120 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Directories never worth descending into when expanding inputs
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+export function hasGlob(pattern) {
+  return /[*?[{]/.test(pattern);
+}
+
+// "drafts/**,*.tmp.md" -> two patterns; commas inside {a,b} stay
+export function splitPatterns(list) {
+  if (!list || list === true) {
+    return [];
+  }
+  return String(list).split(/,(?![^{]*\})/).map(pattern => pattern.trim()).filter(Boolean);
+}
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Glob pattern to RegExp over "/"-separated relative paths.
+ * Supports * and ? (within one path segment), ** (any number of directories),
+ * [abc] / [!abc] character classes and {a,b} alternatives.
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  let braces = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" may also match no directory at all
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && pattern.indexOf(']', i + 1) > i + 1) {
+      const end = pattern.indexOf(']', i + 1);
+      const members = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+      source += members.startsWith('!') ? `[^${members.slice(1)}]` : `[${members}]`;
+      i = end;
+    } else if (char === '{') {
+      braces++;
+      source += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+// Patterns without a "/" match the file name anywhere, as in .gitignore
+function matchesAny(relative, patterns) {
+  return patterns.some(pattern => pattern.test(relative) || pattern.test(path.posix.basename(relative)));
+}
+
+async function walk(directory, visit) {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRECTORIES.has(entry.name) && !entry.name.startsWith('.')) {
+        await walk(entryPath, visit);
+      }
+    } else if (entry.isFile()) {
+      visit(entryPath);
+    }
+  }
+}
+
+/**
+ * Expand a directory or glob into files, sorted by path.
+ * Returns { base, files: [{ file, relative }] } where relative is the path
+ * below base (the directory, or the glob's leading non-wildcard segments),
+ * so callers can mirror the source tree.
+ * filter(file) further limits plain directory inputs, e.g. to known extensions.
+ */
+export async function expandInput(input, { exclude = [], filter = () => true } = {}) {
+  const isGlob = hasGlob(input);
+  let base = input;
+  let pattern = null;
+
+  if (isGlob) {
+    const segments = toPosix(input).split('/');
+    const firstGlob = segments.findIndex(segment => hasGlob(segment));
+    base = segments.slice(0, firstGlob).join('/') || '.';
+    pattern = globToRegExp(segments.slice(firstGlob).join('/'));
+  }
+
+  base = path.resolve(base);
+  const excluded = exclude.map(globToRegExp);
+  const files = [];
+
+  await walk(base, (file) => {
+    const relative = toPosix(path.relative(base, file));
+    const included = isGlob ? pattern.test(relative) : filter(file);
+    if (included && !matchesAny(relative, excluded)) {
+      files.push({ file, relative });
+    }
+  });
+
+  return { base, files };
+}
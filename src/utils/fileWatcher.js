@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// src/href attributes, Markdown images, and CSS @import / url()
+const REFERENCE_PATTERNS = [
+  /\b(?:src|href)\s*=\s*["']([^"']+)["']/gi,
+  /!\[[^\]]*\]\(\s*<?([^)\s>]+)/g,
+  /@import\s+(?:url\(\s*)?["']?([^"')\s;]+)/gi,
+  /url\(\s*["']?([^"')]+?)["']?\s*\)/gi
+];
+
+function resolveReference(reference, baseDir) {
+  const target = reference.trim().replace(/[?#].*$/, '');
+  if (!target) {
+    return null;
+  }
+  try {
+    if (target.startsWith('file:')) {
+      return fileURLToPath(target);
+    }
+    // Remote, inline and in-page references are not files
+    if (/^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('//')) {
+      return null;
+    }
+    return path.resolve(baseDir, decodeURIComponent(target));
+  } catch {
+    // A malformed escape (%E0%A4%A) or a file URL naming another host is not a local file
+    return null;
+  }
+}
+
+/**
+ * Local files referenced by a document: images, stylesheets and what those
+ * stylesheets import in turn. Missing files are ignored.
+ */
+export async function findLocalAssets(filePath, seen = new Set()) {
+  const assets = [];
+  let content;
+  try {
+    content = await fs.promises.readFile(filePath, 'utf-8');
+  } catch (error) {
+    return assets;
+  }
+
+  for (const pattern of REFERENCE_PATTERNS) {
+    for (const match of content.matchAll(pattern)) {
+      const asset = resolveReference(match[1], path.dirname(filePath));
+      if (!asset || seen.has(asset) || asset === filePath) {
+        continue;
+      }
+      seen.add(asset);
+
+      const stat = await fs.promises.stat(asset).catch(() => null);
+      if (stat?.isFile()) {
+        assets.push(asset);
+        if (path.extname(asset).toLowerCase() === '.css') {
+          assets.push(...await findLocalAssets(asset, seen));
+        }
+      }
+    }
+  }
+
+  return assets;
+}
+
+/**
+ * Calls onChange(paths) once changes to the watched files settle.
+ * Parent directories are watched rather than the files themselves, because
+ * editors that save by writing a new file and renaming it would otherwise
+ * leave the watch on the deleted original.
+ */
+class FileWatcher {
+  constructor(onChange, { debounce = 300 } = {}) {
+    this.onChange = onChange;
+    this.debounce = debounce;
+    this.directories = new Map();
+    this.changed = new Set();
+    this.timer = null;
+  }
+
+  // Replaces the set of watched files
+  setFiles(files) {
+    const wanted = new Map();
+    for (const file of files) {
+      const directory = path.dirname(path.resolve(file));
+      if (!wanted.has(directory)) {
+        wanted.set(directory, new Set());
+      }
+      wanted.get(directory).add(path.basename(file));
+    }
+
+    for (const [directory, entry] of this.directories) {
+      if (!entry.all && !wanted.has(directory)) {
+        entry.watcher.close();
+        this.directories.delete(directory);
+      }
+    }
+
+    for (const [directory, names] of wanted) {
+      const entry = this.directories.get(directory);
+      if (entry) {
+        entry.names = names;
+      } else {
+        this.watch(directory, { names });
+      }
+    }
+  }
+
+  // Every file below the directory counts, e.g. templates and their partials
+  watchDirectory(directory) {
+    const existing = this.directories.get(directory);
+    if (existing) {
+      existing.watcher.close();
+    }
+    this.watch(directory, { all: true });
+  }
+
+  watch(directory, { names = new Set(), all = false }) {
+    let watcher;
+    try {
+      watcher = fs.watch(directory, { recursive: all }, (eventType, filename) => {
+        const entry = this.directories.get(directory);
+        if (filename && (entry.all || entry.names.has(path.basename(filename)))) {
+          this.schedule(path.join(directory, filename.toString()));
+        }
+      });
+    } catch (error) {
+      // A directory that does not exist yet has nothing to report
+      return;
+    }
+    watcher.on('error', () => {});
+    this.directories.set(directory, { watcher, names, all });
+  }
+
+  schedule(file) {
+    this.changed.add(file);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      const changed = Array.from(this.changed);
+      this.changed.clear();
+      this.onChange(changed);
+    }, this.debounce);
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    for (const { watcher } of this.directories.values()) {
+      watcher.close();
+    }
+    this.directories.clear();
+  }
+}
+
+export default FileWatcher;
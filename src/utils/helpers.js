@@ -1,6 +1,10 @@
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import TemplateEngine from './templateEngine.js';
+import { detectBuiltInType } from '../converters/converterRegistry.js';
+import { logger } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -48,7 +52,42 @@ export async function loadConfig() {
       },
       server: {
         port: process.env.PORT || 3000,
-        host: process.env.HOST || '0.0.0.0'
+        host: process.env.HOST || '0.0.0.0',
+        retryAfter: 5,
+        jobs: {
+          concurrency: 2,
+          maxPending: 100,
+          resultTtl: 3600
+        },
+        auth: {
+          keys: [],
+          defaults: {
+            rateLimit: 60,
+            rateWindow: 60,
+            dailyQuota: 0
+          }
+        }
+      },
+      url: {
+        allowlist: [],
+        denylist: [],
+        allowPrivateNetworks: false,
+        navigationTimeout: 30000,
+        maxRedirects: 5
+      },
+      pool: {
+        maxConcurrency: 4,
+        maxQueueSize: 50,
+        maxRendersPerPage: 50
+      },
+      cache: {
+        enabled: false,
+        memory: { maxBytes: '100MB' },
+        disk: { directory: 'cache', maxBytes: '1GB' }
+      },
+      logging: {
+        level: 'info',
+        format: 'pretty'
       }
     };
   }
@@ -66,17 +105,74 @@ export async function ensureDirectoryExists(dirPath) {
   }
 }
 
+export const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+export function resolveTemplatePath(templateName) {
+  const templatePath = path.resolve(TEMPLATES_DIR, templateName);
+  
+  // Template names come from API options, so never read outside the templates directory
+  if (!templatePath.startsWith(TEMPLATES_DIR + path.sep)) {
+    throw new Error(`Invalid template name: ${templateName}`);
+  }
+  
+  return templatePath;
+}
+
 export async function loadTemplate(templateName) {
-  const templatePath = path.join(__dirname, '..', 'templates', templateName);
+  const templatePath = resolveTemplatePath(templateName);
   
   try {
     return await fs.readFile(templatePath, 'utf-8');
   } catch (error) {
+    if (templateName !== 'default.html') {
+      throw new Error(`Template not found: ${templateName}`);
+    }
     // Return default template if template file doesn't exist
     return getDefaultTemplate();
   }
 }
 
+// Hash of every template and partial, so cached renders are invalidated when any of them changes
+export async function getTemplateFingerprint() {
+  const hash = crypto.createHash('sha256');
+  const visit = async (directory) => {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        await visit(entryPath);
+      } else {
+        hash.update(path.relative(TEMPLATES_DIR, entryPath)).update('\0').update(await fs.readFile(entryPath)).update('\0');
+      }
+    }
+  };
+  await visit(TEMPLATES_DIR);
+  return hash.digest('hex');
+}
+
+const templateEngine = new TemplateEngine({
+  loadPartial: (name) => loadTemplate(path.join('partials', `${name}.html`)),
+  onWarning: (warning) => logProgress(`Template: ${warning}`, 'warning')
+});
+
+export async function renderTemplate(templateName, data = {}) {
+  const template = await loadTemplate(templateName || 'default.html');
+  return templateEngine.render(template, data);
+}
+
+export async function renderTemplateString(source, data = {}) {
+  return templateEngine.render(source, data);
+}
+
+const textTemplateEngine = new TemplateEngine({
+  escape: String,
+  onWarning: (warning) => logProgress(`Template: ${warning}`, 'warning')
+});
+
+export async function renderTextTemplate(source, data = {}) {
+  return textTemplateEngine.render(source, data);
+}
+
 function getDefaultTemplate() {
   return `<!DOCTYPE html>
 <html lang="en">
@@ -99,6 +195,26 @@ function getDefaultTemplate() {
 </html>`;
 }
 
+/**
+ * Call task(item, index) for every item with at most `concurrency` calls running at once.
+ * Resolves to the results in input order, whatever order the calls finish in.
+ */
+export async function mapWithConcurrency(items, concurrency, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
 export function formatFileSize(bytes) {
   const sizes = ['Bytes', 'KB', 'MB', 'GB'];
   if (bytes === 0) return '0 Bytes';
@@ -106,6 +222,19 @@ export function formatFileSize(bytes) {
   return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
 }
 
+// Accepts a byte count or a string such as "512KB", "100MB" or "1GB"
+export function parseFileSize(size) {
+  if (typeof size === 'number') {
+    return size;
+  }
+  const match = String(size).trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i);
+  if (!match) {
+    throw new Error(`Invalid size: ${size}. Use a number of bytes or a value such as "100MB"`);
+  }
+  const units = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+  return Math.round(parseFloat(match[1]) * units[(match[2] || 'B').toUpperCase()]);
+}
+
 export function sanitizeFilename(filename) {
   // Remove or replace invalid characters for file names
   return filename
@@ -115,46 +244,26 @@ export function sanitizeFilename(filename) {
     .trim();
 }
 
+// Kept for callers outside the engine; sniffs with the built-in converters' detectors
 export function detectContentType(content) {
-  const trimmed = content.trim();
-  
-  // Check for JSON
-  if ((trimmed.startsWith('{') && trimmed.endsWith('}')) || 
-      (trimmed.startsWith('[') && trimmed.endsWith(']'))) {
-    try {
-      JSON.parse(trimmed);
-      return 'json';
-    } catch (e) {
-      // Not valid JSON
-    }
-  }
-  
-  // Check for HTML
-  if (trimmed.includes('<') && trimmed.includes('>')) {
-    const htmlPattern = /<\/?[a-z][\s\S]*>/i;
-    if (htmlPattern.test(trimmed)) {
-      return 'html';
-    }
-  }
-  
-  // Check for Markdown
-  const markdownPatterns = [
-    /^#{1,6}\s+/, // Headers
-    /^\*\s+/, // Unordered lists
-    /^\d+\.\s+/, // Ordered lists
-    /\*\*.*\*\*/, // Bold
-    /\*.*\*/, // Italic
-    /\[.*\]\(.*\)/, // Links
-    /```/, // Code blocks
-    /^>/, // Blockquotes
-  ];
-  
-  if (markdownPatterns.some(pattern => pattern.test(trimmed))) {
-    return 'markdown';
+  return detectBuiltInType(content);
+}
+
+// Before header/footer presets existed, header set the CSV header row
+const LEGACY_HEADER_ROW_VALUES = [true, false, 'true', 'false', 'auto'];
+
+/**
+ * Map deprecated option spellings to their current names, warning once per call.
+ * Used where options are parsed (CLI arguments, API request bodies), so converters and
+ * generators only ever see the current names. Returns the same object when nothing changes.
+ */
+export function mapDeprecatedOptions(options, log = logger) {
+  if (!options || !LEGACY_HEADER_ROW_VALUES.includes(options.header)) {
+    return options;
   }
-  
-  // Default to text
-  return 'text';
+  const { header, ...rest } = options;
+  log.warn(`Option header: ${header} is deprecated for the CSV header row; use headerRow: ${header}`);
+  return { headerRow: header, ...rest };
 }
 
 export function validatePdfOptions(options) {
@@ -310,14 +419,8 @@ That's all for this example!`
   console.log(`📁 Example files created in: ${examplesDir}`);
 }
 
+// Kept for plugins; new code should use the logger from logger.js
 export function logProgress(message, type = 'info') {
-  const timestamp = new Date().toISOString().substring(11, 19);
-  const prefix = {
-    info: '📄',
-    success: '✅',
-    error: '❌',
-    warning: '⚠️'
-  }[type] || '📄';
-  
-  console.log(`${prefix} [${timestamp}] ${message}`);
+  const method = { info: 'info', success: 'success', error: 'error', warning: 'warn' }[type] || 'info';
+  logger[method](message);
 }
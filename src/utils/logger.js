@@ -0,0 +1,101 @@
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+export const LOG_FORMATS = ['pretty', 'json'];
+
+const PRETTY_PREFIX = {
+  debug: '🔍',
+  info: '📄',
+  success: '✅',
+  warn: '⚠️',
+  error: '❌'
+};
+
+function formatValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return /[\s"=]/.test(text) ? JSON.stringify(text) : text;
+}
+
+/**
+ * Leveled logger writing either human-readable lines or one JSON object per line.
+ * Children share their parent's settings, so configure() on the root logger also
+ * applies to request loggers created earlier.
+ */
+export class Logger {
+  constructor(settings = {}, fields = {}) {
+    this.settings = settings;
+    this.fields = fields;
+    this.configure(settings);
+  }
+
+  configure({ level, format } = {}) {
+    if (level !== undefined) {
+      if (!LEVELS[level]) {
+        throw new Error(`Unknown log level: ${level}. Use one of: ${Object.keys(LEVELS).join(', ')}`);
+      }
+      this.settings.level = level;
+    }
+    if (format !== undefined) {
+      if (!LOG_FORMATS.includes(format)) {
+        throw new Error(`Unknown log format: ${format}. Use one of: ${LOG_FORMATS.join(', ')}`);
+      }
+      this.settings.format = format;
+    }
+    return this;
+  }
+
+  child(fields = {}) {
+    return new Logger(this.settings, { ...this.fields, ...fields });
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  // Logged at info level; only the pretty prefix differs
+  success(message, fields) {
+    this.write('info', message, fields, 'success');
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  write(level, message, fields = {}, style = level) {
+    if (LEVELS[level] < LEVELS[this.settings.level || 'info']) {
+      return;
+    }
+
+    const entries = Object.entries({ ...this.fields, ...fields })
+      .filter(([, value]) => value !== undefined && value !== null);
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+    if (this.settings.format === 'json') {
+      const record = { time: new Date().toISOString(), level, msg: message, ...Object.fromEntries(entries) };
+      stream.write(JSON.stringify(record) + '\n');
+      return;
+    }
+
+    const timestamp = new Date().toISOString().substring(11, 19);
+    const context = entries.map(([key, value]) => `${key}=${formatValue(value)}`).join(' ');
+    stream.write(`${PRETTY_PREFIX[style]} [${timestamp}] ${message}${context ? ` ${context}` : ''}\n`);
+  }
+}
+
+export const logger = new Logger({ level: 'info', format: 'pretty' });
+
+export function configureLogger(settings = {}) {
+  return logger.configure(settings);
+}
@@ -0,0 +1,65 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import katex from 'katex';
+
+const require = createRequire(import.meta.url);
+
+let mathStyles = null;
+
+export function renderMath(tex, { displayMode = false, tag } = {}) {
+  // \tag only exists in display mode and an explicit one in the source wins
+  const source = tag && displayMode && !/\\tag\*?\{/.test(tex) ? `${tex} \\tag{${tag}}` : tex;
+
+  return katex.renderToString(source, {
+    displayMode,
+    throwOnError: false,
+    errorColor: '#c0392b',
+    output: 'htmlAndMathml'
+  });
+}
+
+/**
+ * KaTeX stylesheet with its fonts inlined as data URLs, so pages rendered
+ * from setContent() need no network or file access.
+ */
+export async function getMathStyles() {
+  if (mathStyles) {
+    return mathStyles;
+  }
+
+  const cssPath = require.resolve('katex/dist/katex.min.css');
+  const fontsDir = path.join(path.dirname(cssPath), 'fonts');
+  const css = await fs.readFile(cssPath, 'utf-8');
+
+  // Chromium reads woff2, so the woff/ttf fallbacks are dropped
+  const fontFaces = css.match(/src:url\(fonts\/[^;}]+/g) || [];
+  let inlined = css;
+  for (const declaration of new Set(fontFaces)) {
+    const file = declaration.match(/url\(fonts\/([^)]+\.woff2)\)/)[1];
+    const font = await fs.readFile(path.join(fontsDir, file));
+    inlined = inlined.split(declaration).join(`src:url(data:font/woff2;base64,${font.toString('base64')}) format("woff2")`);
+  }
+
+  mathStyles = inlined + `
+      .katex-display {
+        margin: 1em 0;
+        overflow-x: auto;
+        overflow-y: hidden;
+      }
+
+      .katex-display > .katex {
+        page-break-inside: avoid;
+      }
+
+      .eq-ref {
+        color: inherit;
+        text-decoration: none;
+      }
+
+      .eq-ref-missing {
+        color: #c0392b;
+      }
+  `;
+  return mathStyles;
+}
@@ -0,0 +1,186 @@
+// Minimal Prometheus text-format metrics (https://prometheus.io/docs/instrumenting/exposition_formats/)
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Series are keyed by label values in declaration order
+  getSeries(labels, create) {
+    const values = this.labelNames.map(name => String(labels[name] ?? ''));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, create(Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]]))));
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} ${this.type}\n`;
+  }
+
+  render() {
+    const lines = Array.from(this.series.values()).map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    return this.header() + lines.map(line => line + '\n').join('');
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels, (resolved) => ({ labels: resolved, value: 0 })).value += amount;
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels = {}, value = 0) {
+    this.getSeries(labels, (resolved) => ({ labels: resolved, value: 0 })).value = value;
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, (resolved) => ({
+      labels: resolved,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return this.header() + lines.map(line => line + '\n').join('');
+  }
+}
+
+// Returns a function giving the seconds elapsed since startTimer() was called
+export function startTimer() {
+  const start = process.hrtime.bigint();
+  return () => Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+export class Registry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  // Collectors refresh gauges (e.g. from pool stats) right before each scrape
+  onCollect(collector) {
+    this.collectors.push(collector);
+    return () => {
+      this.collectors = this.collectors.filter(candidate => candidate !== collector);
+    };
+  }
+
+  render() {
+    this.collectors.forEach(collector => collector());
+    return this.metrics.map(metric => metric.render()).join('');
+  }
+}
+
+export const registry = new Registry();
+
+export const conversionsTotal = registry.counter(
+  'pdf_conversions_total',
+  'Conversions by content type and outcome',
+  ['type', 'outcome']
+);
+
+export const renderDuration = registry.histogram(
+  'pdf_render_duration_seconds',
+  'Time spent per phase: converter (content to HTML) or chromium (HTML to PDF, including waiting for a page)',
+  ['type', 'phase'],
+  [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+);
+
+export const outputBytes = registry.histogram(
+  'pdf_output_bytes',
+  'Size of generated PDFs',
+  ['type'],
+  [10e3, 50e3, 100e3, 500e3, 1e6, 5e6, 10e6, 50e6]
+);
+
+export const rendersInFlight = registry.gauge(
+  'pdf_renders_in_flight',
+  'Pages currently rendering'
+);
+
+export const renderQueueDepth = registry.gauge(
+  'pdf_render_queue_depth',
+  'Work waiting to start: renders waiting for a page (queue="pages") or queued async jobs (queue="jobs")',
+  ['queue']
+);
+
+export const cacheLookups = registry.counter(
+  'pdf_cache_lookups_total',
+  'Render cache lookups by result: memory or disk for hits, miss otherwise',
+  ['result']
+);
+
+export const browserRestarts = registry.counter(
+  'pdf_browser_restarts_total',
+  'Times Chromium disconnected unexpectedly and had to be relaunched'
+);
+browserRestarts.inc({}, 0);
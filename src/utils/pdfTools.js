@@ -0,0 +1,436 @@
+import { PDFDocument, PDFName, PDFDict, PDFArray, PDFString, PDFHexString, StandardFonts, rgb, degrees } from 'pdf-lib';
+
+function decodeDestinationName(object) {
+  if (object instanceof PDFName) {
+    // PDF names are UTF-8 bytes; decodeText() returns them one char per byte
+    return Buffer.from(object.decodeText().replace(/^\//, ''), 'latin1').toString('utf-8');
+  }
+  if (object instanceof PDFString || object instanceof PDFHexString) {
+    return object.decodeText();
+  }
+  return null;
+}
+
+function destinationPageRef(destination) {
+  if (destination instanceof PDFDict) {
+    destination = destination.lookup(PDFName.of('D'));
+  }
+  if (destination instanceof PDFArray && destination.size() > 0) {
+    return destination.get(0);
+  }
+  return null;
+}
+
+function collectNameTree(node, entries) {
+  if (!(node instanceof PDFDict)) {
+    return;
+  }
+
+  const names = node.lookup(PDFName.of('Names'));
+  if (names instanceof PDFArray) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      entries.push([names.lookup(i), names.lookup(i + 1)]);
+    }
+  }
+
+  const kids = node.lookup(PDFName.of('Kids'));
+  if (kids instanceof PDFArray) {
+    for (let i = 0; i < kids.size(); i++) {
+      collectNameTree(kids.lookup(i), entries);
+    }
+  }
+}
+
+/**
+ * Map named destinations (Chromium emits one per element id that a link points to)
+ * to 1-based page numbers.
+ */
+export async function getNamedDestinationPages(pdfBuffer) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const pageNumbers = new Map(pdfDoc.getPages().map((page, index) => [page.ref.toString(), index + 1]));
+  const entries = [];
+
+  // PDF 1.1 style /Dests dictionary on the catalog
+  const dests = pdfDoc.catalog.lookup(PDFName.of('Dests'));
+  if (dests instanceof PDFDict) {
+    dests.entries().forEach(([name, value]) => entries.push([name, dests.context.lookup(value)]));
+  }
+
+  // PDF 1.2+ /Names → /Dests name tree
+  const names = pdfDoc.catalog.lookup(PDFName.of('Names'));
+  if (names instanceof PDFDict) {
+    collectNameTree(names.lookup(PDFName.of('Dests')), entries);
+  }
+
+  const result = {};
+  for (const [key, destination] of entries) {
+    const name = decodeDestinationName(key);
+    const pageRef = destinationPageRef(destination);
+    if (name !== null && pageRef && pageNumbers.has(pageRef.toString())) {
+      result[name] = pageNumbers.get(pageRef.toString());
+    }
+  }
+
+  return result;
+}
+
+export function isPdf(buffer) {
+  return buffer.length > 4 && buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+/**
+ * Concatenate PDFs in order. Pages keep their own size and orientation.
+ * A separator is either a blank page (true) or a one-page PDF placed between parts.
+ */
+export async function mergePdfs(buffers, { separator = false } = {}) {
+  const merged = await PDFDocument.create();
+  const separatorDoc = separator && separator !== true ? await PDFDocument.load(separator) : null;
+
+  for (let i = 0; i < buffers.length; i++) {
+    let source;
+    try {
+      source = await PDFDocument.load(buffers[i]);
+    } catch (error) {
+      throw new Error(`Part ${i + 1} is not a readable PDF: ${error.message}`);
+    }
+
+    if (i > 0 && separator) {
+      if (separatorDoc) {
+        const separatorPages = await merged.copyPages(separatorDoc, separatorDoc.getPageIndices());
+        separatorPages.forEach(page => merged.addPage(page));
+      } else {
+        // Blank separator matches the size of the page before it
+        const previous = merged.getPage(merged.getPageCount() - 1);
+        merged.addPage([previous.getWidth(), previous.getHeight()]);
+      }
+    }
+
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    pages.forEach(page => merged.addPage(page));
+  }
+
+  return Buffer.from(await merged.save());
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, char => ({
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    "'": '&apos;',
+    '"': '&quot;'
+  })[char]);
+}
+
+function buildXmpPacket(metadata) {
+  const { title, author, subject, keywords = [], creator, producer, creationDate, modificationDate } = metadata;
+  const alt = (value) => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt>`;
+
+  const fields = [
+    title && `<dc:title>${alt(title)}</dc:title>`,
+    author && `<dc:creator><rdf:Seq><rdf:li>${escapeXml(author)}</rdf:li></rdf:Seq></dc:creator>`,
+    subject && `<dc:description>${alt(subject)}</dc:description>`,
+    keywords.length > 0 && `<dc:subject><rdf:Bag>${keywords.map(keyword => `<rdf:li>${escapeXml(keyword)}</rdf:li>`).join('')}</rdf:Bag></dc:subject>`,
+    keywords.length > 0 && `<pdf:Keywords>${escapeXml(keywords.join(', '))}</pdf:Keywords>`,
+    producer && `<pdf:Producer>${escapeXml(producer)}</pdf:Producer>`,
+    creator && `<xmp:CreatorTool>${escapeXml(creator)}</xmp:CreatorTool>`,
+    creationDate && `<xmp:CreateDate>${creationDate.toISOString()}</xmp:CreateDate>`,
+    modificationDate && `<xmp:ModifyDate>${modificationDate.toISOString()}</xmp:ModifyDate>`,
+    modificationDate && `<xmp:MetadataDate>${modificationDate.toISOString()}</xmp:MetadataDate>`
+  ].filter(Boolean);
+
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/">
+      ${fields.join('\n      ')}
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+/**
+ * Write the document info dictionary and a matching XMP metadata stream.
+ * metadata: { title, author, subject, keywords, creator, producer, creationDate }
+ */
+export async function applyMetadata(pdfBuffer, metadata = {}) {
+  // updateMetadata: false keeps pdf-lib from stamping its own Producer and dates
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const now = new Date();
+  const normalized = {
+    ...metadata,
+    keywords: metadata.keywords || [],
+    creationDate: metadata.creationDate || now,
+    modificationDate: now
+  };
+
+  if (normalized.title) {
+    pdfDoc.setTitle(normalized.title);
+  }
+  if (normalized.author) {
+    pdfDoc.setAuthor(normalized.author);
+  }
+  if (normalized.subject) {
+    pdfDoc.setSubject(normalized.subject);
+  }
+  if (normalized.keywords.length > 0) {
+    // pdf-lib joins keywords with spaces; keep them comma-separated like the XMP copy
+    pdfDoc.setKeywords([normalized.keywords.join(', ')]);
+  }
+  if (normalized.creator) {
+    pdfDoc.setCreator(normalized.creator);
+  }
+  if (normalized.producer) {
+    pdfDoc.setProducer(normalized.producer);
+  }
+  pdfDoc.setCreationDate(normalized.creationDate);
+  pdfDoc.setModificationDate(normalized.modificationDate);
+
+  // XMP must stay uncompressed so indexers can read it without a PDF parser
+  const xmp = Buffer.from(buildXmpPacket(normalized), 'utf-8');
+  const metadataStream = pdfDoc.context.stream(xmp, {
+    Type: 'Metadata',
+    Subtype: 'XML',
+    Length: xmp.length
+  });
+  pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(metadataStream));
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+function invalidWatermark(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_OPTIONS', statusCode: 400 });
+}
+
+const WATERMARK_POSITIONS = [
+  'center', 'top', 'bottom', 'left', 'right',
+  'top-left', 'top-right', 'bottom-left', 'bottom-right'
+];
+
+// Distance in points between an edge-anchored watermark and the page edge
+const WATERMARK_INSET = 36;
+
+/**
+ * Parse a page selection such as "1-3,5,8-" or "last" into 0-based page indices.
+ * An empty selection or "all" selects every page.
+ */
+export function parsePageRanges(selection, pageCount) {
+  const all = Array.from({ length: pageCount }, (_, index) => index);
+  if (selection === undefined || selection === null || selection === '' || selection === 'all') {
+    return all;
+  }
+
+  const indices = new Set();
+  for (const part of String(selection).split(',').map(item => item.trim()).filter(Boolean)) {
+    const resolve = (value, fallback) => {
+      if (value === '') {
+        return fallback;
+      }
+      if (value === 'first') {
+        return 1;
+      }
+      if (value === 'last') {
+        return pageCount;
+      }
+      if (!/^\d+$/.test(value)) {
+        throw invalidWatermark(`Invalid page range: ${selection}`);
+      }
+      return Number(value);
+    };
+
+    const [start, end = start] = part.split('-').map(value => value.trim());
+    const from = resolve(start, 1);
+    const to = resolve(end, pageCount);
+    for (let page = Math.max(from, 1); page <= Math.min(to, pageCount); page++) {
+      indices.add(page - 1);
+    }
+  }
+
+  return Array.from(indices).sort((a, b) => a - b);
+}
+
+function parseColor(color = '#808080') {
+  const match = String(color).trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) {
+    throw invalidWatermark(`Invalid watermark color: ${color}`);
+  }
+  const hex = match[1].length === 3 ? match[1].replace(/./g, char => char + char) : match[1];
+  return rgb(
+    parseInt(hex.slice(0, 2), 16) / 255,
+    parseInt(hex.slice(2, 4), 16) / 255,
+    parseInt(hex.slice(4, 6), 16) / 255
+  );
+}
+
+function decodeImage(image) {
+  if (Buffer.isBuffer(image) || image instanceof Uint8Array) {
+    return Buffer.from(image);
+  }
+  // Data URL or bare base64 string
+  return Buffer.from(String(image).replace(/^data:[^,]*;base64,/, ''), 'base64');
+}
+
+async function embedImage(pdfDoc, image) {
+  const bytes = decodeImage(image);
+  if (bytes[0] === 0x89 && bytes.subarray(1, 4).toString('latin1') === 'PNG') {
+    return pdfDoc.embedPng(bytes);
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    return pdfDoc.embedJpg(bytes);
+  }
+  throw invalidWatermark('Watermark image must be a PNG or JPEG');
+}
+
+// Standard fonts only cover WinAnsi; replace anything else instead of failing the render
+function encodableText(font, text) {
+  const supported = new Set(font.getCharacterSet());
+  return Array.from(String(text)).map(char => (supported.has(char.codePointAt(0)) ? char : '?')).join('');
+}
+
+// pdf-lib rotates around the drawing origin (bottom-left corner), so work out where that
+// origin has to be for the rotated box to sit at the requested position
+function placeBox(page, width, height, rotation, position) {
+  const radians = rotation * Math.PI / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const boundsWidth = Math.abs(width * cos) + Math.abs(height * sin);
+  const boundsHeight = Math.abs(width * sin) + Math.abs(height * cos);
+
+  const pageWidth = page.getWidth();
+  const pageHeight = page.getHeight();
+  let centerX = pageWidth / 2;
+  let centerY = pageHeight / 2;
+  if (position.includes('left')) {
+    centerX = WATERMARK_INSET + boundsWidth / 2;
+  } else if (position.includes('right')) {
+    centerX = pageWidth - WATERMARK_INSET - boundsWidth / 2;
+  }
+  if (position.startsWith('top')) {
+    centerY = pageHeight - WATERMARK_INSET - boundsHeight / 2;
+  } else if (position.startsWith('bottom')) {
+    centerY = WATERMARK_INSET + boundsHeight / 2;
+  }
+
+  return {
+    x: centerX - (width / 2 * cos - height / 2 * sin),
+    y: centerY - (width / 2 * sin + height / 2 * cos)
+  };
+}
+
+// Default size: 72pt, shrunk until long text fits inside the page at the given rotation
+function fitFontSize(page, font, text, rotation) {
+  const size = 72;
+  const radians = rotation * Math.PI / 180;
+  const width = font.widthOfTextAtSize(text, size);
+  const height = font.heightAtSize(size, { descender: false });
+  const boundsWidth = Math.abs(width * Math.cos(radians)) + Math.abs(height * Math.sin(radians));
+  const boundsHeight = Math.abs(width * Math.sin(radians)) + Math.abs(height * Math.cos(radians));
+  const available = (extent, bounds) => (extent - 2 * WATERMARK_INSET) / bounds;
+  return size * Math.min(1, available(page.getWidth(), boundsWidth), available(page.getHeight(), boundsHeight));
+}
+
+/**
+ * Stamp text or an image on selected pages.
+ * watermark: { text, image, opacity, rotation, position, fontSize, color, scale, pages }
+ * A plain string is shorthand for { text }.
+ */
+export async function applyWatermark(pdfBuffer, watermark) {
+  const settings = typeof watermark === 'string' ? { text: watermark } : { ...watermark };
+  if (!settings.text && !settings.image) {
+    throw invalidWatermark('Watermark needs text or an image');
+  }
+
+  const position = settings.position || 'center';
+  if (!WATERMARK_POSITIONS.includes(position)) {
+    throw invalidWatermark(`Invalid watermark position: ${position}. Valid positions: ${WATERMARK_POSITIONS.join(', ')}`);
+  }
+
+  const opacity = Math.min(Math.max(Number(settings.opacity ?? (settings.image ? 0.3 : 0.15)), 0), 1);
+  // Text runs corner to corner by default; images stay upright
+  const rotation = Number(settings.rotation ?? (settings.image || position !== 'center' ? 0 : 45));
+  if (isNaN(opacity) || isNaN(rotation)) {
+    throw invalidWatermark('Watermark opacity and rotation must be numbers');
+  }
+  // scale is the image width as a fraction of the page width
+  const scale = Math.min(Number(settings.scale ?? 0.5), 1);
+  if (isNaN(scale) || scale <= 0) {
+    throw invalidWatermark(`Invalid watermark scale: ${settings.scale}. Use a number above 0, up to 1`);
+  }
+
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const pages = pdfDoc.getPages();
+  const selected = parsePageRanges(settings.pages, pages.length);
+
+  if (settings.image) {
+    const image = await embedImage(pdfDoc, settings.image);
+
+    for (const index of selected) {
+      const page = pages[index];
+      const width = page.getWidth() * scale;
+      const height = width * image.height / image.width;
+      const origin = placeBox(page, width, height, rotation, position);
+      page.drawImage(image, { ...origin, width, height, rotate: degrees(rotation), opacity });
+    }
+  } else {
+    const font = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const color = parseColor(settings.color);
+    const text = encodableText(font, settings.text);
+
+    for (const index of selected) {
+      const page = pages[index];
+      const fontSize = Number(settings.fontSize) || fitFontSize(page, font, text, rotation);
+      const width = font.widthOfTextAtSize(text, fontSize);
+      const height = font.heightAtSize(fontSize, { descender: false });
+      const origin = placeBox(page, width, height, rotation, position);
+      page.drawText(text, { ...origin, size: fontSize, font, color, rotate: degrees(rotation), opacity });
+    }
+  }
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * Running headers such as chapter titles. Each entry { title, page } (1-based) prints
+ * its title centered in the top margin of the pages after its start page, up to the
+ * next entry; an entry without a title ends the previous one. Titles that do not fit
+ * are shortened with an ellipsis.
+ */
+export async function applyRunningHeaders(pdfBuffer, entries, { marginTop = 28, fontSize = 9, color = '#555555' } = {}) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const pages = pdfDoc.getPages();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const textColor = parseColor(color);
+  const sorted = entries.filter(entry => entry.page >= 1).sort((a, b) => a.page - b.page);
+
+  sorted.forEach((entry, position) => {
+    if (!entry.title) {
+      return;
+    }
+    const end = position + 1 < sorted.length ? sorted[position + 1].page - 1 : pages.length;
+
+    for (let index = entry.page; index < end; index++) {
+      const page = pages[index];
+      const maxWidth = page.getWidth() - 2 * WATERMARK_INSET;
+      let text = encodableText(font, entry.title);
+      while (text.length > 1 && font.widthOfTextAtSize(text, fontSize) > maxWidth) {
+        text = `${text.slice(0, -2).trimEnd()}…`;
+      }
+
+      const width = font.widthOfTextAtSize(text, fontSize);
+      const height = font.heightAtSize(fontSize, { descender: false });
+      page.drawText(text, {
+        x: (page.getWidth() - width) / 2,
+        y: page.getHeight() - (marginTop + height) / 2,
+        size: fontSize,
+        font,
+        color: textColor
+      });
+    }
+  });
+
+  return Buffer.from(await pdfDoc.save());
+}
@@ -0,0 +1,104 @@
+import http from 'http';
+import net from 'net';
+
+/**
+ * Local forward proxy for URL renders. The browser sends every request through
+ * it, and it connects only to an address UrlPolicy.resolveHost has just checked.
+ * A host whose DNS answer changes between the policy check and the connection
+ * (DNS rebinding) therefore cannot reach a private network.
+ */
+class PolicyProxy {
+  constructor(policy) {
+    this.policy = policy;
+    // The first refused host, reported instead of the browser's generic network error
+    this.blockedError = null;
+    this.sockets = new Set();
+
+    this.server = http.createServer((req, res) => this.forward(req, res));
+    this.server.on('connect', (req, socket, head) => this.tunnel(req, socket, head));
+    this.server.on('connection', (socket) => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+  }
+
+  // Resolves to the proxy URL for the browser's proxyServer setting
+  async listen() {
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, '127.0.0.1', resolve);
+    });
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  async close() {
+    this.sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  async pinAddress(hostname) {
+    try {
+      const [{ address }] = await this.policy.resolveHost(hostname);
+      return address;
+    } catch (error) {
+      this.blockedError = this.blockedError || error;
+      throw error;
+    }
+  }
+
+  // Plain HTTP: the request line carries the absolute URL, the Host header stays as sent
+  async forward(req, res) {
+    let address;
+    let url;
+    try {
+      url = new URL(req.url);
+      address = await this.pinAddress(url.hostname);
+    } catch (error) {
+      res.writeHead(error.statusCode || 400).end();
+      return;
+    }
+
+    const headers = { ...req.headers };
+    delete headers['proxy-connection'];
+    const upstream = http.request({
+      host: address,
+      port: url.port || 80,
+      method: req.method,
+      path: url.pathname + url.search,
+      headers
+    }, (response) => {
+      res.writeHead(response.statusCode, response.headers);
+      response.pipe(res);
+    });
+    upstream.on('error', () => res.destroy());
+    req.pipe(upstream);
+  }
+
+  // HTTPS and WebSockets: CONNECT host:port, then a raw tunnel; TLS stays end to end
+  async tunnel(req, socket, head) {
+    socket.on('error', () => {});
+
+    let address;
+    let port;
+    try {
+      const target = new URL(`https://${req.url}`);
+      port = Number(target.port) || 443;
+      address = await this.pinAddress(target.hostname);
+    } catch (error) {
+      const status = error.statusCode || 400;
+      socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n\r\n`);
+      return;
+    }
+
+    const upstream = net.connect(port, address, () => {
+      socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      upstream.write(head);
+      upstream.pipe(socket);
+      socket.pipe(upstream);
+    });
+    upstream.on('error', () => socket.destroy());
+    socket.on('close', () => upstream.destroy());
+  }
+}
+
+export default PolicyProxy;
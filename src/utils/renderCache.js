@@ -0,0 +1,193 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { parseFileSize } from './helpers.js';
+
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+// JSON with sorted keys, so { a, b } and { b, a } hash the same; Buffers hash by content
+function stableStringify(value) {
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return JSON.stringify({ buffer: crypto.createHash('sha256').update(value).digest('hex') });
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item) ?? 'null').join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function createCacheKey(parts) {
+  return crypto.createHash('sha256').update(stableStringify(parts)).digest('hex');
+}
+
+/**
+ * Two-tier cache of rendered PDFs keyed by createCacheKey().
+ * The memory tier is an LRU bounded by total bytes; the optional disk tier
+ * (one <key>.pdf file per entry) is bounded the same way and evicts least
+ * recently used files first. Disk hits are promoted to memory.
+ */
+class RenderCache {
+  constructor(config = {}) {
+    this.maxMemoryBytes = parseFileSize(config.memory?.maxBytes ?? '100MB');
+    this.directory = config.disk?.directory ? path.resolve(config.disk.directory) : null;
+    this.maxDiskBytes = parseFileSize(config.disk?.maxBytes ?? '1GB');
+
+    // Map iteration order is insertion order, so re-inserting on access keeps LRU order
+    this.memory = new Map();
+    this.memoryBytes = 0;
+    this.disk = new Map();
+    this.diskBytes = 0;
+    this.diskLoaded = null;
+  }
+
+  async get(key) {
+    const buffer = this.memory.get(key);
+    if (buffer) {
+      this.memory.delete(key);
+      this.memory.set(key, buffer);
+      return { buffer, tier: 'memory' };
+    }
+
+    if (!this.directory) {
+      return null;
+    }
+    await this.loadDisk();
+    if (!this.disk.has(key)) {
+      return null;
+    }
+
+    try {
+      const fromDisk = await fs.readFile(this.filePath(key));
+      this.touchDisk(key, fromDisk.length);
+      // Keep file times in LRU order too, since they seed the index after a restart
+      const now = new Date();
+      await fs.utimes(this.filePath(key), now, now);
+      this.remember(key, fromDisk);
+      return { buffer: fromDisk, tier: 'disk' };
+    } catch (error) {
+      // Removed behind our back; treat as a miss
+      this.forgetDisk(key);
+      return null;
+    }
+  }
+
+  async set(key, buffer) {
+    this.remember(key, buffer);
+
+    if (!this.directory || buffer.length > this.maxDiskBytes) {
+      return;
+    }
+    await this.loadDisk();
+
+    // Write to a unique temporary name first so readers never see a partial file
+    // and concurrent writes of the same key never share one
+    const target = this.filePath(key);
+    const temporary = `${target}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(temporary, buffer);
+    await fs.rename(temporary, target);
+    this.touchDisk(key, buffer.length);
+    await this.evictDisk();
+  }
+
+  async purge() {
+    const removed = { memory: this.memory.size, disk: 0 };
+    this.memory.clear();
+    this.memoryBytes = 0;
+
+    if (this.directory) {
+      await this.loadDisk();
+      for (const key of Array.from(this.disk.keys())) {
+        await fs.rm(this.filePath(key), { force: true });
+        this.forgetDisk(key);
+        removed.disk++;
+      }
+    }
+
+    return removed;
+  }
+
+  stats() {
+    return {
+      memory: { entries: this.memory.size, bytes: this.memoryBytes, maxBytes: this.maxMemoryBytes },
+      disk: this.directory
+        ? { entries: this.disk.size, bytes: this.diskBytes, maxBytes: this.maxDiskBytes, directory: this.directory }
+        : null
+    };
+  }
+
+  remember(key, buffer) {
+    if (buffer.length > this.maxMemoryBytes) {
+      return;
+    }
+    if (this.memory.has(key)) {
+      this.memoryBytes -= this.memory.get(key).length;
+      this.memory.delete(key);
+    }
+    this.memory.set(key, buffer);
+    this.memoryBytes += buffer.length;
+
+    for (const [oldestKey, oldest] of this.memory) {
+      if (this.memoryBytes <= this.maxMemoryBytes) {
+        break;
+      }
+      this.memory.delete(oldestKey);
+      this.memoryBytes -= oldest.length;
+    }
+  }
+
+  // Index existing files once, oldest first, so the size limit survives restarts
+  loadDisk() {
+    if (!this.diskLoaded) {
+      this.diskLoaded = (async () => {
+        await fs.mkdir(this.directory, { recursive: true });
+        const files = [];
+        for (const name of await fs.readdir(this.directory)) {
+          const key = path.basename(name, '.pdf');
+          if (name.endsWith('.pdf') && KEY_PATTERN.test(key)) {
+            const stat = await fs.stat(path.join(this.directory, name));
+            files.push({ key, size: stat.size, mtime: stat.mtimeMs });
+          }
+        }
+        files.sort((a, b) => a.mtime - b.mtime).forEach(({ key, size }) => this.touchDisk(key, size));
+        await this.evictDisk();
+      })();
+    }
+    return this.diskLoaded;
+  }
+
+  touchDisk(key, size) {
+    this.forgetDisk(key);
+    this.disk.set(key, size);
+    this.diskBytes += size;
+  }
+
+  forgetDisk(key) {
+    if (this.disk.has(key)) {
+      this.diskBytes -= this.disk.get(key);
+      this.disk.delete(key);
+    }
+  }
+
+  async evictDisk() {
+    for (const key of Array.from(this.disk.keys())) {
+      if (this.diskBytes <= this.maxDiskBytes) {
+        break;
+      }
+      await fs.rm(this.filePath(key), { force: true });
+      this.forgetDisk(key);
+    }
+  }
+
+  filePath(key) {
+    return path.join(this.directory, `${key}.pdf`);
+  }
+}
+
+export default RenderCache;
@@ -0,0 +1,340 @@
+/**
+ * Minimal Handlebars-style template engine used for document templates.
+ *
+ * Supported syntax:
+ *   {{name}}, {{user.name}}        HTML-escaped output
+ *   {{{name}}}                     raw output
+ *   {{formatDate date "D MMMM YYYY"}}  helper calls with path, string and number arguments
+ *   {{#if x}}...{{else}}...{{/if}}, {{#unless x}}...{{/unless}}
+ *   {{#each items}}...{{else}}...{{/each}} with this, @index, @key, @first, @last
+ *   {{> partialName}}              include another template
+ *   {{! comment }}
+ */
+
+const MAX_PARTIAL_DEPTH = 10;
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Marks a value as already-safe HTML so {{value}} outputs it unescaped
+export class SafeString {
+  constructor(value) {
+    this.value = String(value);
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+export function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return String(text).replace(/[&<>"']/g, m => map[m]);
+}
+
+export function formatDate(value, pattern = 'YYYY-MM-DD') {
+  const date = value === undefined || value === null || value === 'now' ? new Date() : new Date(value);
+  if (isNaN(date.getTime())) {
+    return String(value);
+  }
+
+  const pad = (number) => String(number).padStart(2, '0');
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    MMMM: MONTH_NAMES[date.getMonth()],
+    MMM: MONTH_NAMES[date.getMonth()].substring(0, 3),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    D: String(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+
+  return pattern.replace(/YYYY|MMMM|MMM|MM|DD|D|HH|mm|ss/g, token => tokens[token]);
+}
+
+const defaultHelpers = {
+  formatDate: (value, pattern) => formatDate(value, typeof pattern === 'string' ? pattern : undefined),
+  uppercase: (value) => String(value ?? '').toUpperCase(),
+  lowercase: (value) => String(value ?? '').toLowerCase(),
+  default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value),
+  json: (value) => JSON.stringify(value, null, 2),
+  eq: (a, b) => a === b
+};
+
+function parse(source) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const tagPattern = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+  let lastIndex = 0;
+  let match;
+
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.inverse : node.children;
+  };
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      current().push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = tagPattern.lastIndex;
+
+    if (match[1] !== undefined) {
+      current().push({ type: 'output', expression: match[1], raw: true });
+      continue;
+    }
+
+    const tag = match[2];
+    const line = source.slice(0, match.index).split('\n').length;
+
+    if (tag.startsWith('!')) {
+      continue;
+    } else if (tag.startsWith('#')) {
+      const [name, ...rest] = tag.slice(1).trim().split(/\s+/);
+      if (!['if', 'unless', 'each'].includes(name)) {
+        throw new Error(`Unknown block "{{#${name}}}" on line ${line}`);
+      }
+      const block = { type: 'block', name, expression: rest.join(' '), children: [], inverse: [], line };
+      current().push(block);
+      stack.push(block);
+    } else if (tag.startsWith('/')) {
+      const name = tag.slice(1).trim();
+      const block = stack.pop();
+      if (block.type !== 'block' || block.name !== name) {
+        throw new Error(`Unexpected "{{/${name}}}" on line ${line}`);
+      }
+    } else if (tag === 'else') {
+      const block = stack[stack.length - 1];
+      if (block.type !== 'block') {
+        throw new Error(`"{{else}}" outside of a block on line ${line}`);
+      }
+      block.inElse = true;
+    } else if (tag.startsWith('>')) {
+      current().push({ type: 'partial', name: tag.slice(1).trim(), line });
+    } else {
+      current().push({ type: 'output', expression: tag, raw: false, line });
+    }
+  }
+
+  if (stack.length > 1) {
+    const block = stack[stack.length - 1];
+    throw new Error(`Unclosed "{{#${block.name}}}" from line ${block.line}`);
+  }
+
+  if (lastIndex < source.length) {
+    root.children.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  return root;
+}
+
+function splitArguments(expression) {
+  const parts = [];
+  const argPattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+
+  while ((match = argPattern.exec(expression)) !== null) {
+    if (match[1] !== undefined || match[2] !== undefined) {
+      parts.push({ literal: match[1] ?? match[2] });
+    } else {
+      parts.push({ token: match[3] });
+    }
+  }
+
+  return parts;
+}
+
+// Own properties only, so {{constructor}} or {{toString}} never reach Object.prototype
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function collectPartials(node, names = new Set()) {
+  if (node.type === 'partial') {
+    names.add(node.name);
+  }
+  [...(node.children || []), ...(node.inverse || [])].forEach(child => collectPartials(child, names));
+  return names;
+}
+
+class TemplateEngine {
+  constructor({ loadPartial, helpers = {}, onWarning, escape = escapeHtml } = {}) {
+    this.loadPartial = loadPartial;
+    this.helpers = { ...defaultHelpers, ...helpers };
+    this.onWarning = onWarning || (() => {});
+    // Pass escape: String for plain-text output such as watermark text
+    this.escape = escape;
+  }
+
+  registerHelper(name, fn) {
+    this.helpers[name] = fn;
+  }
+
+  async render(source, data = {}) {
+    const partials = new Map();
+    const ast = parse(source);
+    await this.resolvePartials(ast, partials, []);
+
+    const warnings = new Set();
+    const output = this.renderNodes(ast.children, [data], {}, { partials, warnings });
+    warnings.forEach(warning => this.onWarning(warning));
+
+    return output;
+  }
+
+  // chain lists the partials being included around this one, outermost first; each partial
+  // is loaded once but walked at every place it is included, so cycles and depth are exact
+  async resolvePartials(ast, partials, chain) {
+    for (const name of collectPartials(ast)) {
+      const includes = [...chain, name];
+      if (chain.includes(name)) {
+        throw new Error(`Template partial "${name}" includes itself: ${includes.join(' > ')}`);
+      }
+      if (includes.length > MAX_PARTIAL_DEPTH) {
+        throw new Error(`Template partials nested more than ${MAX_PARTIAL_DEPTH} deep: ${includes.join(' > ')}`);
+      }
+      if (!partials.has(name)) {
+        if (!this.loadPartial) {
+          throw new Error(`Cannot include partial "${name}": no partial loader configured`);
+        }
+        partials.set(name, parse(await this.loadPartial(name)));
+      }
+      await this.resolvePartials(partials.get(name), partials, includes);
+    }
+  }
+
+  renderNodes(nodes, scopes, frame, state) {
+    return nodes.map(node => this.renderNode(node, scopes, frame, state)).join('');
+  }
+
+  renderNode(node, scopes, frame, state) {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'output': {
+        const value = this.evaluate(node.expression, scopes, frame, state, true);
+        if (value === undefined || value === null) {
+          return '';
+        }
+        if (node.raw || value instanceof SafeString) {
+          return String(value);
+        }
+        return this.escape(value);
+      }
+
+      case 'partial':
+        return this.renderNodes(state.partials.get(node.name).children, scopes, frame, state);
+
+      case 'block':
+        return this.renderBlock(node, scopes, frame, state);
+
+      default:
+        return '';
+    }
+  }
+
+  renderBlock(node, scopes, frame, state) {
+    const value = this.evaluate(node.expression, scopes, frame, state, false);
+
+    if (node.name === 'if' || node.name === 'unless') {
+      const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+      const branch = truthy === (node.name === 'if') ? node.children : node.inverse;
+      return this.renderNodes(branch, scopes, frame, state);
+    }
+
+    // each
+    const entries = Array.isArray(value)
+      ? value.map((item, index) => [index, item])
+      : value && typeof value === 'object' ? Object.entries(value) : [];
+
+    if (entries.length === 0) {
+      return this.renderNodes(node.inverse, scopes, frame, state);
+    }
+
+    return entries.map(([key, item], index) => this.renderNodes(node.children, [...scopes, item], {
+      index,
+      key,
+      first: index === 0,
+      last: index === entries.length - 1
+    }, state)).join('');
+  }
+
+  evaluate(expression, scopes, frame, state, warnUnknown) {
+    const [head, ...args] = splitArguments(expression);
+    if (!head) {
+      return undefined;
+    }
+
+    if (head.token && hasOwn(this.helpers, head.token) && (args.length > 0 || !this.lookup(head.token, scopes, frame).found)) {
+      // Helpers such as default decide for themselves how to treat missing arguments
+      const values = args.map(arg => this.resolveArgument(arg, scopes, frame, state, false));
+      return this.helpers[head.token](...values);
+    }
+
+    return this.resolveArgument(head, scopes, frame, state, warnUnknown);
+  }
+
+  resolveArgument(arg, scopes, frame, state, warnUnknown) {
+    if (arg.literal !== undefined) {
+      return arg.literal;
+    }
+    if (/^-?\d+(\.\d+)?$/.test(arg.token)) {
+      return Number(arg.token);
+    }
+    if (arg.token === 'true' || arg.token === 'false') {
+      return arg.token === 'true';
+    }
+
+    const { found, value } = this.lookup(arg.token, scopes, frame);
+    if (!found && warnUnknown) {
+      state.warnings.add(`Unknown template variable "${arg.token}"`);
+    }
+    return value;
+  }
+
+  lookup(path, scopes, frame) {
+    if (path.startsWith('@')) {
+      const key = path.slice(1);
+      return hasOwn(frame, key) ? { found: true, value: frame[key] } : { found: false, value: undefined };
+    }
+
+    const segments = path.split('.');
+    let value;
+
+    if (segments[0] === 'this') {
+      value = scopes[scopes.length - 1];
+      segments.shift();
+    } else {
+      const scope = [...scopes].reverse().find(candidate =>
+        candidate !== null && typeof candidate === 'object' && hasOwn(candidate, segments[0])
+      );
+      if (!scope) {
+        return { found: false, value: undefined };
+      }
+      value = scope;
+    }
+
+    for (const segment of segments) {
+      if (value === null || value === undefined || typeof value !== 'object' || !hasOwn(value, segment)) {
+        return { found: false, value: undefined };
+      }
+      value = value[segment];
+    }
+
+    return { found: true, value };
+  }
+}
+
+export default TemplateEngine;
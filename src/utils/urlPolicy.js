@@ -0,0 +1,121 @@
+import dns from 'dns/promises';
+import net from 'net';
+
+export class UrlPolicyError extends Error {
+  constructor(message, statusCode = 403) {
+    super(message);
+    this.name = 'UrlPolicyError';
+    this.code = 'URL_BLOCKED';
+    this.statusCode = statusCode;
+  }
+}
+
+// Loopback, private, link-local (incl. cloud metadata), CGNAT, multicast and reserved ranges,
+// plus the NAT64 prefixes, which embed an IPv4 address (64:ff9b::7f00:1 is 127.0.0.1)
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+  ['64:ff9b::', 96], ['64:ff9b:1::', 48]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv6'));
+
+export function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return blockedRanges.check(mapped[1], 'ipv4');
+  }
+
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return blockedRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function matchesHost(hostname, patterns = []) {
+  return patterns.some(pattern => {
+    const normalized = pattern.toLowerCase();
+    if (normalized.startsWith('*.')) {
+      return hostname.endsWith(normalized.slice(1)) || hostname === normalized.slice(2);
+    }
+    return hostname === normalized;
+  });
+}
+
+class UrlPolicy {
+  constructor(config = {}) {
+    this.allowlist = config.allowlist || [];
+    this.denylist = config.denylist || [];
+    this.allowPrivateNetworks = config.allowPrivateNetworks === true;
+    this.navigationTimeout = config.navigationTimeout || 30000;
+    this.maxRedirects = config.maxRedirects ?? 5;
+    this.lookup = config.lookup || ((hostname) => dns.lookup(hostname, { all: true }));
+  }
+
+  async check(rawUrl) {
+    let url;
+    try {
+      url = new URL(rawUrl);
+    } catch (error) {
+      throw new UrlPolicyError(`Invalid URL: ${rawUrl}`, 400);
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new UrlPolicyError(`Unsupported URL scheme: ${url.protocol}`, 400);
+    }
+
+    await this.resolveHost(url.hostname);
+    return url;
+  }
+
+  /**
+   * The addresses a host may be reached at, once the deny/allow lists and the
+   * private-network check have passed. PolicyProxy connects only to these, so the
+   * browser never resolves a host on its own.
+   */
+  async resolveHost(rawHostname) {
+    // URL keeps the brackets around IPv6 literals
+    const hostname = rawHostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+    if (matchesHost(hostname, this.denylist)) {
+      throw new UrlPolicyError(`Host is denied: ${hostname}`);
+    }
+
+    const allowlisted = matchesHost(hostname, this.allowlist);
+    if (this.allowlist.length > 0 && !allowlisted) {
+      throw new UrlPolicyError(`Host is not in the allowlist: ${hostname}`);
+    }
+
+    const addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await this.resolve(hostname);
+
+    // Explicitly allowlisted hosts may live on internal networks
+    if (!this.allowPrivateNetworks && !allowlisted) {
+      const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+      if (blocked) {
+        throw new UrlPolicyError(`Host resolves to a private or link-local address: ${hostname} (${blocked.address})`);
+      }
+    }
+    if (addresses.length === 0) {
+      throw new UrlPolicyError(`Cannot resolve host: ${hostname}`);
+    }
+
+    return addresses;
+  }
+
+  async resolve(hostname) {
+    try {
+      return await this.lookup(hostname);
+    } catch (error) {
+      throw new UrlPolicyError(`Cannot resolve host: ${hostname}`);
+    }
+  }
+}
+
+export default UrlPolicy;
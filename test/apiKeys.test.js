@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ApiKeyStore from '../src/server/apiKeys.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function storeWith(settings) {
+  const store = new ApiKeyStore({ keys: [{ key: 'secret', ...settings }] });
+  await store.load();
+  return { store, entry: [...store.keys.values()][0] };
+}
+
+// Just enough of req and res for chargeQuota
+function request(entry) {
+  const headers = {};
+  return { req: { apiKey: entry }, res: { setHeader: (name, value) => { headers[name] = value; } }, headers };
+}
+
+describe('ApiKeyStore', () => {
+  it('turns authentication on once keys exist and looks keys up by hash', async () => {
+    const { store, entry } = await storeWith({ name: 'ci' });
+    assert.equal(store.enabled, true);
+    assert.equal(entry.name, 'ci');
+    assert.ok(![...store.keys.keys()].includes('secret'));
+    assert.equal(store.authenticate({ get: (name) => (name === 'x-api-key' ? 'secret' : undefined) }), entry);
+    assert.throws(() => store.authenticate({ get: () => 'wrong' }), { statusCode: 401 });
+  });
+
+  it('limits requests per window and resets with the next window', async () => {
+    const { store, entry } = await storeWith({ rateLimit: 2, rateWindow: 60 });
+    store.consume(entry, { now: 0 });
+    assert.equal(store.consume(entry, { now: 1000 }).remaining, 0);
+    assert.throws(() => store.consume(entry, { now: 2000 }), { statusCode: 429, retryAfter: 58 });
+    assert.equal(store.consume(entry, { now: 60 * 1000 }).remaining, 1);
+  });
+
+  it('charges the quota per document and refuses a request it cannot cover whole', async () => {
+    const { store, entry } = await storeWith({ dailyQuota: 5 });
+    const first = request(entry);
+    store.chargeQuota(first.req, first.res, 3, { now: 0 });
+    assert.equal(first.headers['X-Quota-Remaining'], 2);
+
+    const second = request(entry);
+    assert.throws(() => store.chargeQuota(second.req, second.res, 3, { now: 0 }), (error) => {
+      assert.equal(error.statusCode, 429);
+      assert.match(error.message, /needs 3 conversions, 2 of 5 left today/);
+      assert.equal(error.retryAfter, DAY_MS / 1000);
+      return true;
+    });
+    store.chargeQuota(second.req, second.res, 2, { now: 0 });
+    assert.equal(second.headers['X-Quota-Remaining'], 0);
+  });
+
+  it('refuses rendering requests up front once the quota is spent, until the next UTC day', async () => {
+    const { store, entry } = await storeWith({ dailyQuota: 1 });
+    const { req, res } = request(entry);
+    store.chargeQuota(req, res, 1, { now: 0 });
+
+    assert.throws(() => store.consume(entry, { checksQuota: true, now: 1000 }), /Daily quota exceeded/);
+    assert.doesNotThrow(() => store.consume(entry, { now: 1000 }));
+    assert.equal(store.consume(entry, { checksQuota: true, now: DAY_MS }).quotaRemaining, 1);
+  });
+
+  it('charges nothing without authentication', () => {
+    const { req, res, headers } = request(undefined);
+    new ApiKeyStore().chargeQuota(req, res, 10);
+    assert.deepEqual(headers, {});
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { PassThrough, Writable } from 'node:stream';
+import BatchArchive from '../src/utils/batchArchive.js';
+
+// Read entry names and contents from the ZIP central directory
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries.set(name, { method, data: method === 0 ? data : zlib.inflateRawSync(data) });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function collect() {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  return { output, buffer: () => Buffer.concat(chunks) };
+}
+
+describe('BatchArchive', () => {
+  it('stores each PDF uncompressed and lists every input in input order', async () => {
+    const { output, buffer } = collect();
+    const archive = new BatchArchive(output);
+    // Completion order differs from input order
+    archive.addPdf(2, 'docs/c.md', Buffer.from('%PDF-c'), { durationMs: 5 });
+    archive.addError(1, 'docs/b.md', new Error('Invalid frontmatter at line 2'));
+    archive.addPdf(0, 'docs/a.md', Buffer.from('%PDF-a'));
+    const manifest = await archive.finalize({ failFast: false });
+
+    assert.equal(manifest.totalFiles, 3);
+    assert.equal(manifest.successCount, 2);
+    assert.equal(manifest.failFast, false);
+    assert.deepEqual(manifest.files.map(file => file.filename), ['docs/a.md', 'docs/b.md', 'docs/c.md']);
+    assert.deepEqual(manifest.files[1], { index: 1, filename: 'docs/b.md', success: false, error: 'Invalid frontmatter at line 2' });
+    assert.deepEqual(manifest.files[2], { index: 2, filename: 'docs/c.md', success: true, entry: 'c.md', size: 6, durationMs: 5 });
+
+    const entries = readZip(buffer());
+    assert.deepEqual([...entries.keys()], ['c.md', 'a.md', 'manifest.json']);
+    assert.equal(entries.get('a.md').method, 0);
+    assert.equal(entries.get('a.md').data.toString(), '%PDF-a');
+    assert.deepEqual(JSON.parse(entries.get('manifest.json').data), manifest);
+  });
+
+  it('numbers duplicate names and never overwrites the manifest', async () => {
+    const { output, buffer } = collect();
+    const archive = new BatchArchive(output);
+    const names = [
+      archive.addPdf(0, 'a/README.pdf', Buffer.from('1')),
+      archive.addPdf(1, 'b/README.pdf', Buffer.from('2')),
+      archive.addPdf(2, 'manifest.json', Buffer.from('3')),
+      archive.addPdf(3, '', Buffer.from('4'))
+    ];
+    await archive.finalize();
+
+    assert.deepEqual(names, ['README.pdf', 'README-2.pdf', 'manifest-2.json', 'document.pdf']);
+    const entries = readZip(buffer());
+    assert.equal(entries.get('README-2.pdf').data.toString(), '2');
+    assert.equal(JSON.parse(entries.get('manifest.json').data).totalFiles, 4);
+  });
+
+  it('rejects finalize when the output stream fails', async () => {
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        callback(new Error('disk full'));
+      }
+    });
+    output.on('error', () => {});
+    const archive = new BatchArchive(output);
+    archive.addPdf(0, 'a.pdf', Buffer.from('%PDF'));
+    await assert.rejects(archive.finalize(), /disk full/);
+  });
+});
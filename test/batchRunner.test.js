@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import PDFGenerationEngine from '../src/index.js';
+import { mapWithConcurrency } from '../src/utils/helpers.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Counts how many calls overlap, finishing later items first
+function tracked() {
+  const state = { running: 0, peak: 0 };
+  state.task = async (item) => {
+    state.running++;
+    state.peak = Math.max(state.peak, state.running);
+    await delay(item);
+    state.running--;
+    if (item < 0) {
+      throw new Error(`bad item ${item}`);
+    }
+    return item * 2;
+  };
+  return state;
+}
+
+describe('mapWithConcurrency', () => {
+  it('keeps input order and never runs more than the limit at once', async () => {
+    const state = tracked();
+    assert.deepEqual(await mapWithConcurrency([30, 5, 20, 1, 10], 2, state.task), [60, 10, 40, 2, 20]);
+    assert.equal(state.peak, 2);
+  });
+
+  it('runs at least one worker and handles empty input', async () => {
+    const state = tracked();
+    assert.deepEqual(await mapWithConcurrency([1, 2], 0, state.task), [2, 4]);
+    assert.equal(state.peak, 1);
+    assert.deepEqual(await mapWithConcurrency([], 4, state.task), []);
+  });
+});
+
+describe('PDFGenerationEngine.runBatch', () => {
+  const engine = new PDFGenerationEngine({ pool: { maxConcurrency: 3 } });
+
+  it('caps concurrency at the page pool size', async () => {
+    const state = tracked();
+    await engine.runBatch([5, 5, 5, 5, 5, 5], state.task, { concurrency: 10 });
+    assert.equal(state.peak, 3);
+    assert.equal(engine.resolveConcurrency('nonsense'), 3);
+    assert.equal(engine.resolveConcurrency(2), 2);
+  });
+
+  it('reports each failure without stopping the rest', async () => {
+    const state = tracked();
+    const results = await engine.runBatch([1, -1, 2], state.task, { concurrency: 1 });
+    assert.deepEqual(results.map(({ index, success, value, error }) => ({ index, success, value, error })), [
+      { index: 0, success: true, value: 2, error: undefined },
+      { index: 1, success: false, value: undefined, error: 'bad item -1' },
+      { index: 2, success: true, value: 4, error: undefined }
+    ]);
+  });
+
+  it('skips items not yet started after a failure with failFast', async () => {
+    const state = tracked();
+    const results = await engine.runBatch([1, -1, 2, 3], state.task, { concurrency: 1, failFast: true });
+    assert.deepEqual(results.map(result => result.skipped ?? false), [false, false, true, true]);
+    assert.equal(results[2].error, 'Skipped after an earlier failure');
+  });
+
+  it('stops starting items once the signal aborts', async () => {
+    const controller = new AbortController();
+    const results = await engine.runBatch([1, 2, 3], async (item) => {
+      controller.abort();
+      return item;
+    }, { concurrency: 1, signal: controller.signal });
+    assert.deepEqual(results.map(result => result.success), [true, false, false]);
+    assert.equal(results[1].error, 'Batch was cancelled');
+  });
+});
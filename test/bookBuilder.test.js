@@ -0,0 +1,155 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import BookBuilder, { loadBookManifest } from '../src/converters/bookBuilder.js';
+import MarkdownConverter from '../src/converters/markdownConverter.js';
+
+const FILES = {
+  'book.yml': [
+    'title: Field Guide',
+    'cover: cover.md',
+    'chapters:',
+    '  - intro.md',
+    '  - file: setup.md',
+    '    title: Getting set up',
+    'appendix:',
+    '  - glossary.md'
+  ].join('\n'),
+  'cover.md': '# Field Guide\n',
+  'intro.md': [
+    '# Introduction',
+    '',
+    '[setup](setup.md) [install](setup.md#install-steps) [terms](glossary.md#terms)',
+    '[below](#why-read) [web](https://example.com/setup.md) [missing](other.md)',
+    '[overview](setup.md#overview) [spaced](my%20notes.md)',
+    '[bad fragment](setup.md#%E0%A4%A) [bad file](set%E0%A4%Aup.md)',
+    '',
+    '## Why read',
+    '',
+    '## Overview'
+  ].join('\n'),
+  'setup.md': '# Setup\n\n## Install steps\n\n### Deep\n\n## Overview\n',
+  'glossary.md': '# Glossary\n\n## Terms\n'
+};
+
+describe('loadBookManifest', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'book-manifest-'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('resolves parts in reading order and keeps the remaining fields as metadata', async () => {
+    const manifestPath = path.join(dir, 'book.json');
+    await fs.writeFile(manifestPath, JSON.stringify({
+      title: 'Guide',
+      author: 'Ada',
+      options: { toc: 3 },
+      appendix: ['z.md'],
+      chapters: ['a.md', { file: 'b.md', title: 'Bee' }],
+      frontMatter: ['preface.md'],
+      cover: 'cover.md'
+    }));
+    const manifest = await loadBookManifest(manifestPath);
+    assert.deepEqual(manifest.metadata, { title: 'Guide', author: 'Ada' });
+    assert.deepEqual(manifest.options, { toc: 3 });
+    assert.deepEqual(manifest.parts.map(part => [part.kind, path.basename(part.file), part.title]), [
+      ['cover', 'cover.md', undefined],
+      ['frontMatter', 'preface.md', undefined],
+      ['chapters', 'a.md', undefined],
+      ['chapters', 'b.md', 'Bee'],
+      ['appendix', 'z.md', undefined]
+    ]);
+    assert.equal(manifest.parts[0].file, path.join(dir, 'cover.md'));
+  });
+
+  it('rejects manifests without chapters or with unreadable YAML', async () => {
+    const noChapters = path.join(dir, 'empty.json');
+    await fs.writeFile(noChapters, JSON.stringify({ title: 'x', chapters: [] }));
+    await assert.rejects(loadBookManifest(noChapters), /Invalid book manifest: "chapters" must list at least one file/);
+
+    const badYaml = path.join(dir, 'bad.yml');
+    await fs.writeFile(badYaml, 'chapters: [a.md\n');
+    await assert.rejects(loadBookManifest(badYaml), error => error.code === 'INVALID_MANIFEST' && error.statusCode === 400);
+  });
+});
+
+describe('BookBuilder', () => {
+  let dir;
+  let book;
+  let body;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'book-build-'));
+    await Promise.all(Object.entries(FILES).map(([name, content]) => fs.writeFile(path.join(dir, name), content)));
+    await fs.writeFile(path.join(dir, 'my notes.md'), '# Notes\n');
+    const manifest = await loadBookManifest(path.join(dir, 'book.yml'));
+    book = await new BookBuilder(new MarkdownConverter()).build(manifest, { toc: true, numberHeadings: true });
+    body = book.html.match(/<body[\s\S]*<\/body>/)[0];
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const link = (label) => body.match(new RegExp(`<a href="([^"]*)">${label}</a>`))[1];
+
+  it('turns links to other parts into internal anchors', () => {
+    assert.equal(link('setup'), '#book-part-3');
+    assert.equal(link('install'), '#install-steps');
+    assert.equal(link('terms'), '#terms');
+    assert.equal(link('below'), '#why-read');
+  });
+
+  it('maps a GitHub-style slug to the book-wide heading id', () => {
+    // Both chapters have an Overview heading; the second one gets a suffix book-wide
+    assert.match(body, /<h2 id="overview"[^>]*>.*Overview<\/h2>[\s\S]*<h2 id="(overview-1)"/);
+    assert.equal(link('overview'), '#overview-1');
+  });
+
+  it('leaves remote links and files outside the book alone', () => {
+    assert.equal(link('web'), 'https://example.com/setup.md');
+    assert.equal(link('missing'), 'other.md');
+    assert.equal(link('spaced'), 'my%20notes.md');
+  });
+
+  it('leaves links with malformed escapes unchanged', () => {
+    assert.equal(link('bad fragment'), 'setup.md#%E0%A4%A');
+    assert.equal(link('bad file'), 'set%E0%A4%Aup.md');
+  });
+
+  it('puts the table of contents after the cover and numbers chapters and appendices', () => {
+    const sections = [...body.matchAll(/<section class="book-part ([\w-]+)"/g)].map(match => match[1]);
+    assert.deepEqual(sections, ['book-cover', 'book-toc', 'book-chapter', 'book-chapter', 'book-appendix']);
+
+    const toc = body.match(/<nav class="toc">[\s\S]*?<\/nav>/)[0];
+    const entries = [...toc.matchAll(/<a href="#([^"]+)"><span class="toc-text">(?:<span class="toc-number">([^<]*)<\/span>)?([^<]*)/g)]
+      .map(([, id, number, text]) => [id, number, text]);
+    assert.deepEqual(entries, [
+      ['introduction', '1', 'Introduction'],
+      ['why-read', '1.1', 'Why read'],
+      ['overview', '1.2', 'Overview'],
+      ['setup', '2', 'Setup'],
+      ['install-steps', '2.1', 'Install steps'],
+      ['overview-1', '2.2', 'Overview'],
+      ['glossary', 'A', 'Glossary'],
+      ['terms', 'A.1', 'Terms']
+    ]);
+    assert.doesNotMatch(toc, /Field Guide|Deep/);
+  });
+
+  it('reports one section per part with its running title', () => {
+    assert.deepEqual(book.sections.map(({ id, kind, title }) => [id, kind, title]), [
+      ['book-part-1', 'cover', null],
+      ['book-part-2', 'chapters', '1 Introduction'],
+      ['book-part-3', 'chapters', 'Getting set up'],
+      ['book-part-4', 'appendix', 'A Glossary']
+    ]);
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ConverterRegistry, { createDefaultRegistry, detectBuiltInType } from '../src/converters/converterRegistry.js';
+import PDFGenerationEngine from '../src/index.js';
+import { detectContentType } from '../src/utils/helpers.js';
+import { logger } from '../src/utils/logger.js';
+
+const converter = (detect) => ({ convert: async (content) => `<p>${content}</p>`, detect });
+
+describe('ConverterRegistry', () => {
+  it('registers converters by type and refuses ones without convert()', () => {
+    const registry = new ConverterRegistry();
+    const yaml = converter();
+    registry.register('yaml', yaml, { label: 'YAML', extensions: ['.YML'], mimeTypes: ['Application/YAML'] });
+
+    assert.equal(registry.get('yaml'), yaml);
+    assert.equal(registry.get('toml'), null);
+    assert.deepEqual(registry.describe(), [{ type: 'yaml', label: 'YAML', extensions: ['.yml'], mimeTypes: ['application/yaml'] }]);
+    assert.throws(() => registry.register('', yaml), /non-empty string/);
+    assert.throws(() => registry.register('toml', {}), /must implement convert/);
+  });
+
+  it('maps extensions and MIME types, ignoring case, dots and parameters', () => {
+    const registry = createDefaultRegistry();
+    assert.equal(registry.typeForExtension('MD'), 'markdown');
+    assert.equal(registry.typeForExtension('.tsv'), 'csv');
+    assert.equal(registry.typeForExtension('.docx'), null);
+    assert.equal(registry.typeForMimeType('text/html; charset=utf-8'), 'html');
+    assert.equal(registry.typeForMimeType(undefined), null);
+  });
+
+  it('lets the latest registration claim an extension or MIME type', () => {
+    const registry = createDefaultRegistry();
+    registry.register('mdx', converter(), { extensions: ['.md'], mimeTypes: ['text/markdown'] });
+    assert.equal(registry.typeForExtension('.md'), 'mdx');
+    assert.equal(registry.typeForMimeType('text/markdown'), 'mdx');
+    assert.equal(registry.typeForExtension('.markdown'), 'markdown');
+  });
+
+  it('runs detectors highest priority first and treats a throwing detector as no match', () => {
+    const registry = new ConverterRegistry('plain');
+    registry.register('loose', converter(() => true), { priority: 1 });
+    registry.register('strict', converter((content) => content.startsWith('!')), { priority: 5 });
+    registry.register('broken', converter(() => { throw new Error('boom'); }), { priority: 9 });
+    registry.register('optioned', converter(), { detect: (content) => content === 'opt', priority: 7 });
+
+    assert.equal(registry.detect('!x'), 'strict');
+    assert.equal(registry.detect('opt'), 'optioned');
+    assert.equal(registry.detect('x'), 'loose');
+    assert.equal(new ConverterRegistry('plain').detect('x'), 'plain');
+  });
+
+  it('detects the built-in types the same way with or without converters', () => {
+    const registry = createDefaultRegistry();
+    const samples = {
+      '{"a": 1}': 'json',
+      '<p>Hi</p>': 'html',
+      '# Title\n\nBody': 'markdown',
+      'id,name,score\n1,Ada,42\n2,Grace,37\n': 'csv',
+      'just some words': 'text'
+    };
+    for (const [content, type] of Object.entries(samples)) {
+      assert.equal(registry.detect(content), type, content);
+      assert.equal(detectBuiltInType(content), type, content);
+      assert.equal(detectContentType(content), type, content);
+    }
+  });
+});
+
+describe('PDFGenerationEngine.loadPlugins', () => {
+  let directory;
+
+  before(async () => {
+    // Plugin load messages on stdout would interleave with the test runner's report
+    logger.configure({ level: 'error' });
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'converter-plugins-'));
+    await fs.writeFile(path.join(directory, 'b-yaml.mjs'), `
+      export default function register(engine) {
+        engine.registerConverter('yaml', { convert: async (content) => content }, {
+          extensions: ['.yml', '.md'],
+          detect: (content) => content.startsWith('---yaml')
+        });
+      }
+    `);
+    await fs.writeFile(path.join(directory, 'a-first.js'), 'export default async function register() {}');
+    await fs.writeFile(path.join(directory, 'notes.txt'), 'not a plugin');
+  });
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+    logger.configure({ level: 'info' });
+  });
+
+  it('loads .js and .mjs modules in name order and lets them override built-in extensions', async () => {
+    const engine = new PDFGenerationEngine();
+    assert.deepEqual(await engine.loadPlugins(directory), ['a-first.js', 'b-yaml.mjs']);
+    assert.equal(engine.registry.typeForExtension('.yml'), 'yaml');
+    assert.equal(engine.registry.typeForExtension('.md'), 'yaml');
+    assert.equal(engine.detectContentType('---yaml\nkey: 1'), 'yaml');
+  });
+
+  it('rejects a plugin without a default register function', async () => {
+    await fs.writeFile(path.join(directory, 'c-broken.js'), 'export const register = () => {};');
+    await assert.rejects(new PDFGenerationEngine().loadPlugins(directory), /c-broken.js must export a default register\(engine\) function/);
+    await fs.rm(path.join(directory, 'c-broken.js'));
+  });
+
+  it('returns no plugins when the directory is missing', async () => {
+    assert.deepEqual(await new PDFGenerationEngine().loadPlugins(path.join(directory, 'missing')), []);
+  });
+});
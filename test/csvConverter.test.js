@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import CsvConverter from '../src/converters/csvConverter.js';
+import { detectContentType, mapDeprecatedOptions } from '../src/utils/helpers.js';
+
+const csv = new CsvConverter();
+
+describe('CsvConverter.parse', () => {
+  it('handles quoted delimiters, newlines and escaped quotes', () => {
+    const rows = csv.parse('name,note\r\n"Smith, J","said ""hi""\nthen left"\n');
+    assert.deepEqual(rows, [['name', 'note'], ['Smith, J', 'said "hi"\nthen left']]);
+  });
+
+  it('skips blank lines but keeps empty fields', () => {
+    assert.deepEqual(csv.parse('a,,c\n\n1,2,\n'), [['a', '', 'c'], ['1', '2', '']]);
+  });
+
+  it('rejects an unterminated quote unless lenient', () => {
+    assert.throws(() => csv.parse('a,"b\n1,2'), /Unterminated quoted field/);
+    assert.doesNotThrow(() => csv.parse('a,"b\n1,2', ',', { lenient: true }));
+  });
+});
+
+describe('CsvConverter delimiters', () => {
+  it('detects the delimiter that splits every row the same way', () => {
+    assert.equal(csv.detectDelimiter('a;b;c\n1;2;3\n'), ';');
+    assert.equal(csv.detectDelimiter('a\tb\n1\t2\n'), '\t');
+    assert.equal(csv.detectDelimiter('a|b\n1|2\n'), '|');
+    assert.equal(csv.detectDelimiter('a,b;c\n1,2;3\n4,5;6\n'), ',');
+  });
+
+  it('accepts tab aliases and rejects multi-character delimiters', () => {
+    assert.equal(csv.resolveDelimiter('tab'), '\t');
+    assert.equal(csv.resolveDelimiter('\\t'), '\t');
+    assert.throws(() => csv.resolveDelimiter('::'), /single character/);
+  });
+});
+
+describe('CsvConverter.detect', () => {
+  it('recognises consistent delimited rows', () => {
+    assert.equal(csv.detect('id,name\n1,Ada\n2,Grace\n'), true);
+    assert.equal(csv.detect('﻿id;name\n1;Ada\n2;Grace\n'), true);
+    assert.equal(csv.detect('city\tpopulation\nNew York\t8336817\nLos Angeles\t3979576\n'), true);
+  });
+
+  it('leaves Markdown tables, JSON and prose alone', () => {
+    assert.equal(csv.detect('| a | b |\n|---|---|\n| 1 | 2 |\n'), false);
+    assert.equal(csv.detect('[1,2]\n[3,4]\n'), false);
+    assert.equal(csv.detect('Hello, world.\nThis line has no comma\n'), false);
+  });
+
+  it('leaves prose with a steady number of commas alone', () => {
+    assert.equal(csv.detect('Dear Sam, thanks for the note.\nBest regards, Alex'), false);
+    assert.equal(csv.detect('First, we install it.\nThen, we run the tests.\nFinally, we ship.\n'), false);
+    assert.equal(csv.detect('id,name\n1,Ada\n'), false);
+    assert.equal(detectContentType('First, we install it.\nThen, we run the tests.\nFinally, we ship.\n'), 'text');
+  });
+});
+
+describe('CsvConverter header rows', () => {
+  it('auto-detects labels above numeric data', () => {
+    assert.equal(csv.resolveHeader('auto', [['name', 'score'], ['Ada', '42']]), true);
+    assert.equal(csv.resolveHeader(undefined, [['1', '2'], ['3', '4']]), false);
+    assert.equal(csv.resolveHeader(undefined, [['a', 'a'], ['b', 'c']]), false);
+  });
+
+  it('honours headerRow and maps the deprecated header spelling to it', async () => {
+    const isHeaderCell = (html) => /<th[^>]*>a<\/th>/.test(html);
+    const warnings = [];
+    const log = { warn: message => warnings.push(message) };
+    assert.equal(isHeaderCell(await csv.convert('a,b\n1,2\n', { headerRow: false })), false);
+    assert.equal(isHeaderCell(await csv.convert('a,b\n1,2\n', mapDeprecatedOptions({ header: 'false' }, log))), false);
+    assert.equal(isHeaderCell(await csv.convert('a,b\n1,2\n', mapDeprecatedOptions({ header: true }, log))), true);
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[0], /use headerRow: false/);
+
+    // Preset names stay page headers, and an explicit headerRow wins over the old spelling
+    const preset = { header: 'page-number' };
+    assert.equal(mapDeprecatedOptions(preset, log), preset);
+    assert.deepEqual(mapDeprecatedOptions({ header: 'auto', headerRow: false }, log), { headerRow: false });
+  });
+});
+
+describe('CsvConverter.convert', () => {
+  it('escapes cells, right-aligns numeric columns and selects columns by name or position', async () => {
+    const html = await csv.convert('item,qty,note\n<b>,3,x\nnut,12,y\n', { columns: 'item,2' });
+    assert.match(html, /<td>&lt;b&gt;<\/td><td class="csv-number">3<\/td><\/tr>/);
+    assert.doesNotMatch(html, /<th>note<\/th>/);
+    assert.match(html, /2 rows/);
+  });
+
+  it('reports unknown columns and empty input', async () => {
+    await assert.rejects(csv.convert('a,b\n1,2\n', { columns: 'c' }), /Unknown CSV column: c/);
+    await assert.rejects(csv.convert('\n\n'), /CSV input is empty/);
+  });
+
+  it('decodes byte order marks before the configured encoding', () => {
+    assert.equal(csv.decode(Buffer.from([0xef, 0xbb, 0xbf, 0x61])), 'a');
+    assert.equal(csv.decode(Buffer.from([0xff, 0xfe, 0x61, 0x00])), 'a');
+    assert.equal(csv.decode(Buffer.from([0xe9]), { encoding: 'latin1' }), 'é');
+    assert.throws(() => csv.decode(Buffer.from('a'), { encoding: 'klingon' }), /Unsupported encoding: klingon/);
+  });
+});
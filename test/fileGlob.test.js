@@ -0,0 +1,83 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { globToRegExp, splitPatterns, hasGlob, expandInput } from '../src/utils/fileGlob.js';
+
+describe('globToRegExp', () => {
+  const matches = (pattern, candidate) => globToRegExp(pattern).test(candidate);
+
+  it('keeps * and ? within one path segment', () => {
+    assert.equal(matches('*.md', 'intro.md'), true);
+    assert.equal(matches('*.md', 'docs/intro.md'), false);
+    assert.equal(matches('ch?.md', 'ch1.md'), true);
+    assert.equal(matches('ch?.md', 'ch10.md'), false);
+  });
+
+  it('lets ** cross directories, including none', () => {
+    assert.equal(matches('docs/**/*.md', 'docs/intro.md'), true);
+    assert.equal(matches('docs/**/*.md', 'docs/a/b/intro.md'), true);
+    assert.equal(matches('**', 'a/b/c.txt'), true);
+  });
+
+  it('supports character classes and alternatives', () => {
+    assert.equal(matches('ch[12].md', 'ch2.md'), true);
+    assert.equal(matches('ch[!12].md', 'ch2.md'), false);
+    assert.equal(matches('*.{md,markdown}', 'a.markdown'), true);
+    assert.equal(matches('*.{md,markdown}', 'a.txt'), false);
+  });
+
+  it('treats regex characters literally', () => {
+    assert.equal(matches('a+b(1).md', 'a+b(1).md'), true);
+    assert.equal(matches('a.md', 'aXmd'), false);
+  });
+});
+
+describe('splitPatterns', () => {
+  it('splits on commas outside braces', () => {
+    assert.deepEqual(splitPatterns('drafts/**, *.tmp.md,*.{md,txt}'), ['drafts/**', '*.tmp.md', '*.{md,txt}']);
+  });
+
+  it('returns nothing for missing or bare flags', () => {
+    assert.deepEqual(splitPatterns(undefined), []);
+    assert.deepEqual(splitPatterns(true), []);
+  });
+
+  it('hasGlob spots wildcard characters', () => {
+    assert.equal(hasGlob('docs/*.md'), true);
+    assert.equal(hasGlob('docs/intro.md'), false);
+  });
+});
+
+describe('expandInput', () => {
+  let root;
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'file-glob-'));
+    for (const file of ['a.md', 'b.txt', 'guide/c.md', 'guide/deep/d.md', 'drafts/e.md', 'node_modules/f.md', '.hidden/g.md']) {
+      await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+      await fs.writeFile(path.join(root, file), '# x');
+    }
+  });
+
+  after(() => fs.rm(root, { recursive: true, force: true }));
+
+  const relatives = ({ files }) => files.map(entry => entry.relative);
+
+  it('expands a glob below its leading directory, sorted, skipping node_modules and dot directories', async () => {
+    const result = await expandInput(`${root}/**/*.md`);
+    assert.equal(result.base, root);
+    assert.deepEqual(relatives(result), ['a.md', 'drafts/e.md', 'guide/c.md', 'guide/deep/d.md']);
+  });
+
+  it('applies exclude patterns to paths and, without a "/", to file names', async () => {
+    const result = await expandInput(`${root}/**/*.md`, { exclude: ['drafts/**', 'd.md'] });
+    assert.deepEqual(relatives(result), ['a.md', 'guide/c.md']);
+  });
+
+  it('filters plain directory inputs with the given filter', async () => {
+    const result = await expandInput(path.join(root, 'guide'), { filter: file => file.endsWith('.md') });
+    assert.deepEqual(relatives(result), ['c.md', 'deep/d.md']);
+  });
+});
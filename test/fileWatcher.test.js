@@ -0,0 +1,58 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { findLocalAssets } from '../src/utils/fileWatcher.js';
+
+describe('findLocalAssets', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-watcher-'));
+    await fs.mkdir(path.join(dir, 'css'));
+    await fs.writeFile(path.join(dir, 'logo.png'), '');
+    await fs.writeFile(path.join(dir, 'my chart.svg'), '');
+    await fs.writeFile(path.join(dir, 'css', 'theme.css'), '@import "base.css";\nbody { background: url(../logo.png); }');
+    await fs.writeFile(path.join(dir, 'css', 'base.css'), 'h1 { background: url("data:image/png;base64,AAAA"); }');
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function assetsOf(content) {
+    const file = path.join(dir, 'doc.md');
+    await fs.writeFile(file, content);
+    return (await findLocalAssets(file)).map(asset => path.relative(dir, asset));
+  }
+
+  it('follows images, stylesheets and their imports once each', async () => {
+    const assets = await assetsOf([
+      '![Logo](logo.png) ![Again](./logo.png?v=2)',
+      '<link rel="stylesheet" href="css/theme.css">',
+      '<img src="my%20chart.svg">',
+      '[Home](https://example.com/logo.png) [Top](#top) ![Missing](gone.png)'
+    ].join('\n'));
+    assert.deepEqual(assets.sort(), ['css/base.css', 'css/theme.css', 'logo.png', 'my chart.svg'].map(name => path.normalize(name)));
+  });
+
+  it('accepts local file URLs', async () => {
+    const assets = await assetsOf(`<img src="${pathToFileURL(path.join(dir, 'logo.png')).href}">`);
+    assert.deepEqual(assets, ['logo.png']);
+  });
+
+  it('skips references that cannot name a local file', async () => {
+    const assets = await assetsOf([
+      '![Broken](chart%E0%A4%A.png)',
+      '<img src="file://fileserver/share/logo.png">',
+      '![Logo](logo.png)'
+    ].join('\n'));
+    assert.deepEqual(assets, ['logo.png']);
+  });
+
+  it('returns nothing for an unreadable file', async () => {
+    assert.deepEqual(await findLocalAssets(path.join(dir, 'missing.md')), []);
+  });
+});
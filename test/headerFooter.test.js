@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildHeaderFooter, toPixels, PRESETS, MIN_MARGIN } from '../src/generators/headerFooter.js';
+
+describe('buildHeaderFooter', () => {
+  it('returns nothing when neither a header nor a footer is set', async () => {
+    assert.deepEqual(await buildHeaderFooter({}), {});
+    assert.deepEqual(await buildHeaderFooter({ margin: { top: '0' } }), {});
+  });
+
+  it('renders a preset with the document variables and blanks the other slot', async () => {
+    const result = await buildHeaderFooter({ header: 'title-date' }, { title: 'Q3 <Report>', date: '2025-03-04' });
+    assert.equal(result.displayHeaderFooter, true);
+    assert.match(result.headerTemplate, /<span>Q3 &lt;Report&gt;<\/span><span>4 March 2025<\/span>/);
+    assert.match(result.headerTemplate, /<style>/);
+    assert.equal(result.footerTemplate, '<span></span>');
+  });
+
+  it('leaves Chromium page number classes in place', async () => {
+    const { footerTemplate } = await buildHeaderFooter({ footer: 'page-x-of-y' });
+    assert.match(footerTemplate, /Page <span class="pageNumber"><\/span> of <span class="totalPages"><\/span>/);
+  });
+
+  it('shows the recipient on the confidential preset only when given', async () => {
+    const withRecipient = await buildHeaderFooter({ header: 'confidential' }, { recipient: 'ACME' });
+    assert.match(withRecipient.headerTemplate, /CONFIDENTIAL – ACME/);
+    const withoutRecipient = await buildHeaderFooter({ header: 'confidential' });
+    assert.match(withoutRecipient.headerTemplate, /CONFIDENTIAL<\/div>/);
+  });
+
+  it('accepts a custom template string', async () => {
+    const { footerTemplate } = await buildHeaderFooter({ footer: '<div>{{author}} · <span class="pageNumber"></span></div>' }, { author: 'Ada' });
+    assert.match(footerTemplate, /<div>Ada · <span class="pageNumber"><\/span><\/div>/);
+  });
+
+  it('widens only the margins a header or footer needs', async () => {
+    const { margin } = await buildHeaderFooter({ footer: 'page-number', margin: { top: '5mm', bottom: '5mm', left: '2cm' } });
+    assert.deepEqual(margin, { top: '5mm', right: '1cm', bottom: MIN_MARGIN, left: '2cm' });
+
+    const wide = await buildHeaderFooter({ header: 'page-number', margin: { top: '1in' } });
+    assert.equal(wide.margin.top, '1in');
+  });
+
+  it('rejects an unknown preset name as invalid options', async () => {
+    await assert.rejects(buildHeaderFooter({ header: 'page-x-of' }), error => {
+      assert.match(error.message, /Unknown header\/footer preset: page-x-of/);
+      assert.match(error.message, new RegExp(Object.keys(PRESETS).join(', ')));
+      assert.equal(error.statusCode, 400);
+      return true;
+    });
+  });
+
+  it('renders every preset', async () => {
+    for (const preset of Object.keys(PRESETS)) {
+      const { headerTemplate } = await buildHeaderFooter({ header: preset }, { title: 'T', author: 'A', date: '2025-01-01' });
+      assert.match(headerTemplate, /class="hf /, preset);
+    }
+  });
+});
+
+describe('toPixels', () => {
+  it('converts CSS lengths at 96 dpi', () => {
+    assert.equal(toPixels('1in'), 96);
+    assert.equal(toPixels('72pt'), 96);
+    assert.equal(Math.round(toPixels('2.54cm')), 96);
+    assert.equal(Math.round(toPixels('25.4 mm')), 96);
+    assert.equal(toPixels('12'), 12);
+    assert.equal(toPixels(30), 30);
+  });
+
+  it('treats unreadable values as zero', () => {
+    assert.equal(toPixels('wide'), 0);
+    assert.equal(toPixels(undefined), 0);
+  });
+});
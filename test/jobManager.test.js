@@ -0,0 +1,194 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import JobManager from '../src/server/jobManager.js';
+import { QueueFullError } from '../src/generators/pagePool.js';
+import { PDFServer } from '../src/server/app.js';
+import PDFGenerationEngine from '../src/index.js';
+import { logger } from '../src/utils/logger.js';
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe('JobManager', () => {
+  it('drops the oldest results once maxResultBytes is exceeded', async () => {
+    const jobs = new JobManager({ maxResultBytes: 25 });
+    try {
+      const ids = [1, 2, 3].map(() => jobs.create(async () => Buffer.alloc(10)).id);
+      await settle();
+      assert.deepEqual(ids.map(id => jobs.get(id)?.status ?? null), [null, 'done', 'done']);
+      assert.equal(jobs.resultBytes, 20);
+
+      jobs.cancel(ids[1]);
+      assert.equal(jobs.resultBytes, 10);
+    } finally {
+      jobs.close();
+    }
+  });
+
+  it('sweeps no more than once a second when resultTtl is 0', async () => {
+    const jobs = new JobManager({ resultTtl: 0 });
+    try {
+      let sweeps = 0;
+      jobs.expire = () => { sweeps++; };
+      await settle();
+      assert.equal(sweeps, 0);
+    } finally {
+      jobs.close();
+    }
+  });
+});
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((done, fail) => { resolve = done; reject = fail; });
+  return { promise, resolve, reject };
+}
+
+describe('JobManager lifecycle', () => {
+  it('moves a job from queued to running to done, reporting progress stages', async () => {
+    const jobs = new JobManager({ concurrency: 1 });
+    try {
+      const gate = deferred();
+      let report;
+      const first = jobs.create(async ({ onProgress }) => {
+        report = onProgress;
+        await gate.promise;
+        return Buffer.from('%PDF-');
+      }, { filename: 'report.pdf' });
+      const second = jobs.create(async () => Buffer.from('%PDF-'));
+
+      assert.equal(first.status, 'running');
+      assert.equal(first.stage, 'starting');
+      assert.equal(second.status, 'queued');
+
+      report('rendering', 40);
+      assert.deepEqual([first.stage, first.progress], ['rendering', 40]);
+
+      gate.resolve();
+      await settle();
+      assert.deepEqual([first.status, first.stage, first.progress], ['done', 'done', 100]);
+      assert.equal(second.status, 'done');
+
+      const json = jobs.toJSON(first);
+      assert.equal(json.filename, 'report.pdf');
+      assert.equal(json.size, 5);
+      assert.ok(json.finishedAt && json.expiresAt);
+      assert.equal('result' in json || 'owner' in json, false);
+    } finally {
+      jobs.close();
+    }
+  });
+
+  it('records the error of a failed job', async () => {
+    const jobs = new JobManager();
+    try {
+      const job = jobs.create(async () => { throw new Error('Template not found'); });
+      await settle();
+      assert.deepEqual([job.status, job.error, job.result], ['failed', 'Template not found', null]);
+    } finally {
+      jobs.close();
+    }
+  });
+
+  it('cancels queued jobs before they start and aborts running ones', async () => {
+    const jobs = new JobManager({ concurrency: 1 });
+    try {
+      const gate = deferred();
+      let signal;
+      let queuedRan = false;
+      const running = jobs.create(async (context) => {
+        signal = context.signal;
+        await gate.promise;
+        return Buffer.from('late');
+      });
+      const queued = jobs.create(async () => { queuedRan = true; });
+
+      assert.equal(jobs.cancel(queued.id).status, 'cancelled');
+      assert.equal(jobs.pending.length, 0);
+
+      jobs.cancel(running.id);
+      assert.equal(signal.aborted, true);
+      gate.resolve();
+      await settle();
+
+      assert.equal(running.status, 'cancelled');
+      assert.equal(running.result, null);
+      assert.equal(queuedRan, false);
+      assert.equal(jobs.cancel('missing'), null);
+    } finally {
+      jobs.close();
+    }
+  });
+
+  it('throws QueueFullError once maxPending jobs are waiting', async () => {
+    const jobs = new JobManager({ concurrency: 1, maxPending: 1 });
+    try {
+      const gate = deferred();
+      jobs.create(() => gate.promise);
+      jobs.create(() => gate.promise);
+      assert.throws(() => jobs.create(() => gate.promise), (error) => {
+        assert.ok(error instanceof QueueFullError);
+        assert.equal(error.statusCode, 503);
+        return true;
+      });
+      gate.resolve(Buffer.from('x'));
+    } finally {
+      jobs.close();
+    }
+  });
+
+  it('forgets finished jobs once their result expires', async () => {
+    const jobs = new JobManager({ resultTtl: 0 });
+    try {
+      const job = jobs.create(async () => Buffer.from('x'), { owner: 'key-a' });
+      assert.equal(job.owner, 'key-a');
+      await settle();
+      assert.equal(jobs.get(job.id), null);
+    } finally {
+      jobs.close();
+    }
+  });
+});
+
+describe('Job routes', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    // Request logs on stdout would interleave with the test runner's report
+    logger.configure({ level: 'error' });
+    const engine = new PDFGenerationEngine();
+    engine.convertToPDF = async () => Buffer.from('%PDF-1.7');
+    server = new PDFServer(engine, { auth: { keys: [{ key: 'a' }, { key: 'b' }, { key: 'adm', admin: true }] } });
+    await server.start(0, '127.0.0.1');
+    baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  after(async () => {
+    await server.stop();
+    logger.configure({ level: 'info' });
+  });
+
+  const call = (path, key, init = {}) => fetch(`${baseUrl}${path}`, {
+    ...init,
+    headers: { 'content-type': 'application/json', 'x-api-key': key }
+  });
+
+  it('lets only the creating key, or an admin key, see a job', async () => {
+    const created = await call('/api/jobs', 'a', { method: 'POST', body: JSON.stringify({ content: 'Hello', type: 'text' }) });
+    assert.equal(created.status, 202);
+    const { id, statusUrl } = await created.json();
+    assert.equal(created.headers.get('location'), `/api/jobs/${id}`);
+    await settle();
+
+    assert.equal((await call(statusUrl, 'a')).status, 200);
+    assert.equal((await call(statusUrl, 'adm')).status, 200);
+    assert.equal((await call(statusUrl, 'b')).status, 404);
+    assert.equal((await call(`${statusUrl}/result`, 'b')).status, 404);
+    assert.equal((await call(statusUrl, 'b', { method: 'DELETE' })).status, 404);
+
+    const result = await call(`${statusUrl}/result`, 'a');
+    assert.equal(result.headers.get('content-type'), 'application/pdf');
+    assert.equal(await result.text(), '%PDF-1.7');
+  });
+});
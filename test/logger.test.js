@@ -0,0 +1,148 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Logger } from '../src/utils/logger.js';
+import PDFGenerationEngine from '../src/index.js';
+import { PDFServer } from '../src/server/app.js';
+
+// Collect what a synchronous block writes to stdout and stderr
+function capture(fn) {
+  const lines = { stdout: [], stderr: [] };
+  const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+  for (const name of ['stdout', 'stderr']) {
+    process[name].write = (chunk) => lines[name].push(String(chunk)) > 0;
+  }
+  try {
+    fn();
+  } finally {
+    process.stdout.write = originals.stdout;
+    process.stderr.write = originals.stderr;
+  }
+  return lines;
+}
+
+describe('Logger', () => {
+  it('writes one JSON record per line with the message and fields', () => {
+    const log = new Logger({ level: 'info', format: 'json' });
+    const { stdout } = capture(() => log.info('Converted', { type: 'csv', bytes: 12, skipped: undefined }));
+    assert.equal(stdout.length, 1);
+    const record = JSON.parse(stdout[0]);
+    assert.equal(record.level, 'info');
+    assert.equal(record.msg, 'Converted');
+    assert.equal(record.type, 'csv');
+    assert.equal(record.bytes, 12);
+    assert.equal('skipped' in record, false);
+    assert.ok(!isNaN(Date.parse(record.time)));
+  });
+
+  it('drops lines below the level and sends warnings and errors to stderr', () => {
+    const log = new Logger({ level: 'warn', format: 'json' });
+    const lines = capture(() => {
+      log.debug('hidden');
+      log.info('hidden');
+      log.success('hidden');
+      log.warn('careful');
+      log.error('broken');
+    });
+    assert.deepEqual(lines.stdout, []);
+    assert.deepEqual(lines.stderr.map(line => JSON.parse(line).level), ['warn', 'error']);
+  });
+
+  it('writes pretty lines with quoted values where needed', () => {
+    const log = new Logger({ level: 'info', format: 'pretty' });
+    const { stdout } = capture(() => log.success('Saved', { file: 'my report.pdf', pages: 3 }));
+    assert.match(stdout[0], /^✅ \[\d\d:\d\d:\d\d\] Saved file="my report\.pdf" pages=3\n$/);
+  });
+
+  it('gives children their parent fields and later settings', () => {
+    const root = new Logger({ level: 'info', format: 'pretty' });
+    const child = root.child({ requestId: 'req-1' }).child({ jobId: 'job-1' });
+    root.configure({ format: 'json', level: 'error' });
+
+    const lines = capture(() => {
+      child.info('hidden');
+      child.error('Failed', { requestId: 'req-2' });
+    });
+    assert.deepEqual(lines.stdout, []);
+    const record = JSON.parse(lines.stderr[0]);
+    assert.equal(record.jobId, 'job-1');
+    assert.equal(record.requestId, 'req-2');
+  });
+
+  it('rejects unknown levels and formats', () => {
+    assert.throws(() => new Logger({ level: 'verbose' }), /Unknown log level: verbose/);
+    assert.throws(() => new Logger({ format: 'xml' }), /Unknown log format: xml/);
+  });
+});
+
+describe('Request IDs', () => {
+  let server;
+  let baseUrl;
+  let records;
+  let contexts;
+  const originalWrite = Logger.prototype.write;
+
+  before(async () => {
+    // Record log calls instead of printing them; stdout output would break the test report
+    records = [];
+    Logger.prototype.write = function (level, message, fields = {}) {
+      records.push({ level, message, ...this.fields, ...fields });
+    };
+    contexts = [];
+    const engine = new PDFGenerationEngine();
+    engine.convertToPDF = async (content, type, options, context) => {
+      contexts.push(context);
+      engine.getLogger(context).info('Rendering');
+      return Buffer.from('%PDF-1.7');
+    };
+    server = new PDFServer(engine, {});
+    await server.start(0, '127.0.0.1');
+    baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  after(async () => {
+    await server.stop();
+    Logger.prototype.write = originalWrite;
+  });
+
+  const convert = (headers = {}) => fetch(`${baseUrl}/api/convert`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify({ content: 'hello', type: 'text' })
+  });
+
+  it('reuses a safe incoming X-Request-Id and passes it to the engine and every log line', async () => {
+    records.length = 0;
+    const response = await convert({ 'x-request-id': 'trace-42.a:b' });
+    await response.arrayBuffer();
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-request-id'), 'trace-42.a:b');
+    assert.equal(contexts.at(-1).requestId, 'trace-42.a:b');
+
+    assert.ok(records.some(record => record.message === 'Rendering'));
+    assert.ok(records.some(record => record.message === 'POST /api/convert 200'));
+    for (const record of records) {
+      assert.equal(record.requestId, 'trace-42.a:b', record.message);
+    }
+  });
+
+  it('replaces a missing or unsafe X-Request-Id with a UUID', async () => {
+    const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+    for (const headers of [{}, { 'x-request-id': 'bad id\twith spaces' }, { 'x-request-id': 'x'.repeat(129) }]) {
+      const response = await convert(headers);
+      await response.arrayBuffer();
+      assert.match(response.headers.get('x-request-id'), uuid);
+      assert.equal(contexts.at(-1).requestId, response.headers.get('x-request-id'));
+    }
+  });
+
+  it('tags error responses too', async () => {
+    const response = await fetch(`${baseUrl}/api/convert`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-request-id': 'trace-43' },
+      body: '{}'
+    });
+    await response.arrayBuffer();
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get('x-request-id'), 'trace-43');
+  });
+});
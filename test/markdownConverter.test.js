@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import MarkdownConverter from '../src/converters/markdownConverter.js';
+
+const markdown = new MarkdownConverter();
+const block = (info, lines) => `\`\`\`${info}\n${Array.from({ length: lines }, (_, i) => `line ${i + 1}`).join('\n')}\n\`\`\`\n`;
+
+describe('MarkdownConverter line ranges', () => {
+  it('expands ranges and clamps them to the block length', () => {
+    assert.deepEqual([...markdown.parseLineRanges('1, 3-4', 5)], [1, 3, 4]);
+    assert.deepEqual([...markdown.parseLineRanges('2-50000000', 3)], [2, 3]);
+  });
+
+  it('rejects reversed, zero and out-of-range ranges with a 400', () => {
+    for (const [ranges, message] of [['4-2', /use line numbers/], ['0', /use line numbers/], ['9', /has 3 lines/]]) {
+      assert.throws(() => markdown.parseLineRanges(ranges, 3), (error) => {
+        assert.match(error.message, message);
+        assert.equal(error.code, 'INVALID_CODE_BLOCK');
+        assert.equal(error.statusCode, 400);
+        return true;
+      });
+    }
+  });
+
+  it('reports bad ranges from convert without the renderer bug-report note', async () => {
+    await assert.rejects(markdown.convert(block('js {7}', 3)), (error) => {
+      assert.equal(error.message, 'Markdown conversion failed: Invalid line range {7}: the code block has 3 lines');
+      assert.equal(error.statusCode, 400);
+      return true;
+    });
+  });
+});
+
+describe('MarkdownConverter shared state', () => {
+  it('keeps math styles to the document that used math when conversions overlap', async () => {
+    const [withMath, without] = await Promise.all([
+      markdown.convert('Euler: $e^{i\\pi} + 1 = 0$', { math: true }),
+      markdown.convert('No math here', { math: true })
+    ]);
+    assert.match(withMath, /katex/);
+    assert.doesNotMatch(without, /\.katex/);
+  });
+});
+
+describe('MarkdownConverter instances', () => {
+  it('render through their own marked setup when several exist', async () => {
+    const first = new MarkdownConverter();
+    const second = new MarkdownConverter();
+    const html = await first.convert('# One\n\n## Two\n\n```js\nx\ny\n```\n', { toc: true, lineNumbers: true });
+
+    assert.match(html, /<nav class="toc">/);
+    assert.match(html, /<span class="code-line-number">2<\/span>/);
+    assert.equal(first.headings.length, 2);
+    assert.equal(second.headings.length, 0);
+    assert.match(await second.convert('$x$', { math: true }), /katex/);
+  });
+});
+
+describe('MarkdownConverter frontmatter', () => {
+  const doc = (frontmatter, body = '# Heading\n\nText') => `---\n${frontmatter}\n---\n${body}`;
+
+  it('parses YAML, keeps dates as written and strips the block from the content', () => {
+    const { content, metadata } = markdown.extractFrontmatter(doc('title: Annual Report\ndate: 2024-03-01\ntags:\n  - finance\n  - q1'));
+    assert.deepEqual(metadata, { title: 'Annual Report', date: '2024-03-01', tags: ['finance', 'q1'] });
+    assert.equal(content, '# Heading\n\nText');
+  });
+
+  it('accepts an empty block and leaves documents without one alone', () => {
+    assert.deepEqual(markdown.extractFrontmatter('---\n---\nBody'), { content: 'Body', metadata: {} });
+    assert.deepEqual(markdown.extractFrontmatter('Body\n---\nMore'), { content: 'Body\n---\nMore', metadata: {} });
+  });
+
+  it('maps frontmatter keys to render options', () => {
+    const options = markdown.extractOptions(doc([
+      'format: Letter',
+      'orientation: landscape',
+      'margin: 2cm',
+      'theme: vs',
+      'lineNumbers: true',
+      'toc: 2',
+      'header: minimal',
+      'math: false',
+      'author: Ada'
+    ].join('\n')));
+
+    assert.deepEqual(options, {
+      pageFormat: 'Letter',
+      orientation: 'landscape',
+      margin: { top: '2cm', right: '2cm', bottom: '2cm', left: '2cm' },
+      codeTheme: 'vs',
+      lineNumbers: true,
+      toc: 2,
+      header: 'minimal',
+      math: false
+    });
+  });
+
+  it('reports invalid YAML with the line number in the file', () => {
+    assert.throws(() => markdown.extractFrontmatter(doc('title: ok\ntags: [a, b\nauthor: x')), (error) => {
+      assert.match(error.message, /^Invalid frontmatter at line \d+:/);
+      assert.equal(error.code, 'INVALID_FRONTMATTER');
+      assert.equal(error.statusCode, 400);
+      return true;
+    });
+    assert.throws(() => markdown.extractFrontmatter(doc('title: ok\n  bad: indent')), /Invalid frontmatter at line 3:/);
+  });
+
+  it('refuses frontmatter that is not key: value pairs and invalid orientations', () => {
+    assert.throws(() => markdown.extractFrontmatter(doc('- a\n- b')), /expected key: value pairs/);
+    assert.throws(() => markdown.extractOptions(doc('orientation: sideways')), /Use portrait or landscape/);
+  });
+
+  it('exposes frontmatter fields to the template and uses the title', async () => {
+    const html = await markdown.convert(doc('title: From Frontmatter\nauthor: Ada', 'Body'));
+    assert.match(html, /<title>From Frontmatter<\/title>/);
+    assert.deepEqual(markdown.extractMetadata(doc('author: Ada')), { author: 'Ada', title: 'Heading' });
+  });
+});
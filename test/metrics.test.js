@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Registry, registry, startTimer } from '../src/utils/metrics.js';
+
+describe('Registry text format', () => {
+  it('writes HELP and TYPE lines and one line per label set', () => {
+    const metrics = new Registry();
+    const conversions = metrics.counter('conversions_total', 'Conversions by type', ['type', 'outcome']);
+    conversions.inc({ type: 'markdown', outcome: 'success' });
+    conversions.inc({ type: 'markdown', outcome: 'success' }, 2);
+    conversions.inc({ outcome: 'error', type: 'csv' });
+
+    assert.equal(metrics.render(), [
+      '# HELP conversions_total Conversions by type',
+      '# TYPE conversions_total counter',
+      'conversions_total{type="markdown",outcome="success"} 3',
+      'conversions_total{type="csv",outcome="error"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('prints a metric without labels bare and still lists one without samples', () => {
+    const metrics = new Registry();
+    metrics.gauge('queue_depth', 'Jobs waiting').set({}, 4);
+    metrics.counter('unused_total', 'Never incremented');
+    assert.equal(metrics.render(), [
+      '# HELP queue_depth Jobs waiting',
+      '# TYPE queue_depth gauge',
+      'queue_depth 4',
+      '# HELP unused_total Never incremented',
+      '# TYPE unused_total counter',
+      ''
+    ].join('\n'));
+  });
+
+  it('escapes backslashes, quotes and newlines in label values', () => {
+    const metrics = new Registry();
+    metrics.counter('odd_total', 'Odd labels', ['path']).inc({ path: 'C:\\tmp\\"a"\nb' });
+    assert.match(metrics.render(), /^odd_total\{path="C:\\\\tmp\\\\\\"a\\"\\nb"\} 1$/m);
+  });
+
+  it('writes cumulative histogram buckets with +Inf, sum and count', () => {
+    const metrics = new Registry();
+    const duration = metrics.histogram('render_seconds', 'Render time', ['type'], [5, 1]);
+    duration.observe({ type: 'html' }, 0.5);
+    duration.observe({ type: 'html' }, 2);
+    duration.observe({ type: 'html' }, 9);
+
+    assert.equal(metrics.render(), [
+      '# HELP render_seconds Render time',
+      '# TYPE render_seconds histogram',
+      'render_seconds_bucket{type="html",le="1"} 1',
+      'render_seconds_bucket{type="html",le="5"} 2',
+      'render_seconds_bucket{type="html",le="+Inf"} 3',
+      'render_seconds_sum{type="html"} 11.5',
+      'render_seconds_count{type="html"} 3',
+      ''
+    ].join('\n'));
+  });
+
+  it('runs collectors before each render until they are removed', () => {
+    const metrics = new Registry();
+    const active = metrics.gauge('active', 'Active renders');
+    let current = 1;
+    const stop = metrics.onCollect(() => active.set({}, current));
+
+    assert.match(metrics.render(), /^active 1$/m);
+    current = 3;
+    assert.match(metrics.render(), /^active 3$/m);
+    stop();
+    current = 7;
+    assert.match(metrics.render(), /^active 3$/m);
+  });
+});
+
+describe('default registry', () => {
+  it('declares the engine metrics', () => {
+    const text = registry.render();
+    for (const name of ['pdf_conversions_total', 'pdf_render_duration_seconds']) {
+      assert.match(text, new RegExp(`^# TYPE ${name} `, 'm'));
+    }
+  });
+});
+
+describe('startTimer', () => {
+  it('returns elapsed seconds', async () => {
+    const elapsed = startTimer();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const seconds = elapsed();
+    assert.ok(seconds >= 0.015 && seconds < 5, String(seconds));
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import PagePool, { QueueFullError } from '../src/generators/pagePool.js';
+
+// Stands in for a puppeteer browser: counts pages and lets tests close them
+function stubBrowser() {
+  const browser = {
+    pages: [],
+    async newPage() {
+      const page = {
+        id: browser.pages.length + 1,
+        closed: false,
+        isClosed() { return this.closed; },
+        async close() { this.closed = true; }
+      };
+      browser.pages.push(page);
+      return page;
+    }
+  };
+  return browser;
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('PagePool', () => {
+  it('reuses released pages instead of opening new ones', async () => {
+    const browser = stubBrowser();
+    const pool = new PagePool(async () => browser);
+
+    const first = await pool.withPage(async page => page.id);
+    const second = await pool.withPage(async page => page.id);
+    assert.equal(first, second);
+    assert.equal(browser.pages.length, 1);
+    assert.deepEqual(pool.stats(), { active: 0, idle: 1, queued: 0, maxConcurrency: 4, maxQueueSize: 50 });
+  });
+
+  it('runs at most maxConcurrency renders and hands freed slots to waiters in order', async () => {
+    const pool = new PagePool(async () => stubBrowser(), { maxConcurrency: 2 });
+    const gates = [deferred(), deferred(), deferred()];
+    const started = [];
+
+    const renders = gates.map((gate, index) => pool.withPage(async () => {
+      started.push(index);
+      await gate.promise;
+    }));
+    await tick();
+    assert.deepEqual(started, [0, 1]);
+    assert.equal(pool.stats().queued, 1);
+
+    gates[1].resolve();
+    await tick();
+    assert.deepEqual(started, [0, 1, 2]);
+    assert.equal(pool.stats().active, 2);
+
+    gates[0].resolve();
+    gates[2].resolve();
+    await Promise.all(renders);
+    assert.equal(pool.stats().active, 0);
+  });
+
+  it('refuses work with a 503 QueueFullError once the wait queue is full', async () => {
+    const pool = new PagePool(async () => stubBrowser(), { maxConcurrency: 1, maxQueueSize: 1 });
+    const gate = deferred();
+    const running = pool.withPage(() => gate.promise);
+    const queued = pool.withPage(async () => 'queued');
+    await tick();
+
+    await assert.rejects(pool.withPage(async () => {}), (error) => {
+      assert.ok(error instanceof QueueFullError);
+      assert.equal(error.statusCode, 503);
+      assert.equal(error.code, 'QUEUE_FULL');
+      return true;
+    });
+
+    gate.resolve();
+    await running;
+    assert.equal(await queued, 'queued');
+  });
+
+  it('closes a page whose render failed and frees its slot', async () => {
+    const browser = stubBrowser();
+    const pool = new PagePool(async () => browser, { maxConcurrency: 1 });
+
+    await assert.rejects(pool.withPage(async () => { throw new Error('render failed'); }), /render failed/);
+    assert.equal(browser.pages[0].closed, true);
+    assert.deepEqual([pool.stats().active, pool.stats().idle], [0, 0]);
+
+    assert.equal(await pool.withPage(async page => page.id), 2);
+  });
+
+  it('retires pages after maxRendersPerPage and skips pages closed while idle', async () => {
+    const browser = stubBrowser();
+    const pool = new PagePool(async () => browser, { maxRendersPerPage: 2 });
+
+    await pool.withPage(async () => {});
+    await pool.withPage(async () => {});
+    assert.equal(browser.pages[0].closed, true);
+
+    await pool.withPage(async () => {});
+    browser.pages[1].closed = true;
+    assert.equal(await pool.withPage(async page => page.id), 3);
+  });
+
+  it('frees the slot when the browser cannot open a page', async () => {
+    const pool = new PagePool(async () => { throw new Error('no browser'); }, { maxConcurrency: 1 });
+    await assert.rejects(pool.acquire(), /no browser/);
+    assert.equal(pool.stats().active, 0);
+  });
+
+  it('counts withSlot renders against the limit without taking a page', async () => {
+    const browser = stubBrowser();
+    const pool = new PagePool(async () => browser, { maxConcurrency: 1 });
+    const gate = deferred();
+    const slot = pool.withSlot(() => gate.promise);
+    const page = pool.withPage(async () => 'page');
+    await tick();
+
+    assert.deepEqual([pool.stats().active, pool.stats().queued, browser.pages.length], [1, 1, 0]);
+    gate.resolve();
+    await slot;
+    assert.equal(await page, 'page');
+  });
+
+  it('clear() closes idle pages', async () => {
+    const browser = stubBrowser();
+    const pool = new PagePool(async () => browser);
+    await pool.withPage(async () => {});
+    pool.clear();
+    assert.equal(browser.pages[0].closed, true);
+    assert.equal(pool.stats().idle, 0);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument } from 'pdf-lib';
+import { resolvePreviewOptions, renderPdfPages, previewFilename, MAX_PREVIEW_PAGES } from '../src/generators/pagePreview.js';
+
+async function makePdf(pageCount) {
+  const pdfDoc = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) {
+    pdfDoc.addPage([595, 842]);
+  }
+  return Buffer.from(await pdfDoc.save());
+}
+
+// Stands in for a Puppeteer page; rasterizing is left to the browser tests
+function stubPage() {
+  const calls = [];
+  return {
+    calls,
+    async setContent() {
+      calls.push('setContent');
+    },
+    async addScriptTag() {
+      calls.push('addScriptTag');
+    },
+    async evaluate(fn, args) {
+      calls.push('evaluate');
+      this.args = args;
+      return args.pages.map(page => ({ page, width: 10, height: 14, data: Buffer.from(`page ${page}`).toString('base64') }));
+    }
+  };
+}
+
+describe('resolvePreviewOptions', () => {
+  it('defaults to the first page as PNG at the page size', () => {
+    assert.deepEqual(resolvePreviewOptions(), { pages: '1', width: null, format: 'png' });
+    assert.deepEqual(resolvePreviewOptions({ width: '' }), { pages: '1', width: null, format: 'png' });
+  });
+
+  it('accepts jpg as jpeg and numeric width strings', () => {
+    assert.deepEqual(resolvePreviewOptions({ pages: '2-3', width: '800', format: 'JPG' }), { pages: '2-3', width: 800, format: 'jpeg' });
+  });
+
+  it('rejects unknown formats and widths outside the limits', () => {
+    for (const [options, message] of [
+      [{ format: 'gif' }, /Invalid preview format: gif/],
+      [{ width: 15 }, /Invalid preview width: 15/],
+      [{ width: 4001 }, /Invalid preview width: 4001/],
+      [{ width: 300.5 }, /Invalid preview width: 300\.5/],
+      [{ width: 'wide' }, /Invalid preview width: wide/]
+    ]) {
+      assert.throws(() => resolvePreviewOptions(options), error => message.test(error.message) && error.statusCode === 400);
+    }
+  });
+});
+
+describe('renderPdfPages page selection', () => {
+  it('renders the first page by default', async () => {
+    const page = stubPage();
+    const result = await renderPdfPages(page, await makePdf(3));
+    assert.equal(result.pageCount, 3);
+    assert.deepEqual(page.args.pages, [1]);
+    assert.deepEqual(result.images.map(image => [image.page, image.format, image.buffer.toString()]), [[1, 'png', 'page 1']]);
+  });
+
+  it('resolves ranges, last and all against the page count', async () => {
+    const pdf = await makePdf(5);
+    for (const [pages, expected] of [['2-3,last', [2, 3, 5]], ['4-', [4, 5]], ['all', [1, 2, 3, 4, 5]], ['3-9', [3, 4, 5]]]) {
+      const page = stubPage();
+      await renderPdfPages(page, pdf, { pages });
+      assert.deepEqual(page.args.pages, expected, pages);
+    }
+  });
+
+  it('passes width and format through to the browser', async () => {
+    const page = stubPage();
+    const { images } = await renderPdfPages(page, await makePdf(1), { width: 320, format: 'jpeg' });
+    assert.equal(page.args.width, 320);
+    assert.equal(page.args.type, 'image/jpeg');
+    assert.equal(images[0].format, 'jpeg');
+  });
+
+  it('refuses empty and oversized selections before touching the browser', async () => {
+    const empty = stubPage();
+    await assert.rejects(renderPdfPages(empty, await makePdf(2), { pages: '7' }), /No pages selected by "7"; the document has 2/);
+    assert.deepEqual(empty.calls, []);
+
+    const large = stubPage();
+    await assert.rejects(
+      renderPdfPages(large, await makePdf(MAX_PREVIEW_PAGES + 1), { pages: 'all' }),
+      new RegExp(`Too many preview pages: ${MAX_PREVIEW_PAGES + 1} \\(limit: ${MAX_PREVIEW_PAGES}\\)`)
+    );
+    assert.deepEqual(large.calls, []);
+  });
+});
+
+describe('previewFilename', () => {
+  it('names images by page number and format', () => {
+    assert.equal(previewFilename({ page: 3, format: 'png' }), 'page-3.png');
+    assert.equal(previewFilename({ page: 12, format: 'jpeg' }), 'page-12.jpg');
+  });
+});
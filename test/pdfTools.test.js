@@ -0,0 +1,188 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { PDFDocument, PDFName, PDFArray } from 'pdf-lib';
+import { mergePdfs, isPdf, applyMetadata, applyWatermark, parsePageRanges } from '../src/utils/pdfTools.js';
+
+// A PDF with one blank page per [width, height]
+async function makePdf(...sizes) {
+  const pdfDoc = await PDFDocument.create();
+  sizes.forEach(size => pdfDoc.addPage(size));
+  return Buffer.from(await pdfDoc.save());
+}
+
+const pageSizes = async (buffer) => (await PDFDocument.load(buffer)).getPages().map(page => [page.getWidth(), page.getHeight()]);
+
+const A4 = [595, 842];
+const LETTER_LANDSCAPE = [792, 612];
+
+describe('mergePdfs', () => {
+  it('concatenates parts in order and keeps each page size', async () => {
+    const merged = await mergePdfs([await makePdf(A4, A4), await makePdf(LETTER_LANDSCAPE)]);
+    assert.deepEqual(await pageSizes(merged), [A4, A4, LETTER_LANDSCAPE]);
+  });
+
+  it('puts a blank page the size of the previous page between parts', async () => {
+    const merged = await mergePdfs([await makePdf(LETTER_LANDSCAPE), await makePdf(A4), await makePdf(A4)], { separator: true });
+    assert.deepEqual(await pageSizes(merged), [LETTER_LANDSCAPE, LETTER_LANDSCAPE, A4, A4, A4]);
+  });
+
+  it('places a separator PDF between parts but not before the first', async () => {
+    const separator = await makePdf([100, 100]);
+    const merged = await mergePdfs([await makePdf(A4), await makePdf(A4)], { separator });
+    assert.deepEqual(await pageSizes(merged), [A4, [100, 100], A4]);
+  });
+
+  it('names the part that is not a readable PDF', async () => {
+    await assert.rejects(mergePdfs([await makePdf(A4), Buffer.from('%PDF-garbage')]), /Part 2 is not a readable PDF/);
+  });
+});
+
+describe('isPdf', () => {
+  it('checks the %PDF- signature', async () => {
+    assert.equal(isPdf(await makePdf(A4)), true);
+    assert.equal(isPdf(Buffer.from('<html>')), false);
+    assert.equal(isPdf(Buffer.from('%PDF')), false);
+  });
+});
+
+describe('applyMetadata', () => {
+  const metadata = {
+    title: 'Annual <Report>',
+    author: 'Finance Team',
+    subject: 'Results for 2025',
+    keywords: ['finance', 'annual report'],
+    creator: 'md-to-pdf',
+    producer: 'Custom Producer',
+    creationDate: new Date('2025-01-02T03:04:05Z')
+  };
+
+  it('writes the info dictionary', async () => {
+    const pdfDoc = await PDFDocument.load(await applyMetadata(await makePdf(A4), metadata), { updateMetadata: false });
+    assert.equal(pdfDoc.getTitle(), 'Annual <Report>');
+    assert.equal(pdfDoc.getAuthor(), 'Finance Team');
+    assert.equal(pdfDoc.getSubject(), 'Results for 2025');
+    assert.equal(pdfDoc.getKeywords(), 'finance, annual report');
+    assert.equal(pdfDoc.getCreator(), 'md-to-pdf');
+    assert.equal(pdfDoc.getProducer(), 'Custom Producer');
+    assert.equal(pdfDoc.getCreationDate().toISOString(), '2025-01-02T03:04:05.000Z');
+    assert.ok(pdfDoc.getModificationDate() >= metadata.creationDate);
+  });
+
+  it('embeds a matching uncompressed XMP packet in the catalog', async () => {
+    const pdfDoc = await PDFDocument.load(await applyMetadata(await makePdf(A4), metadata), { updateMetadata: false });
+    const stream = pdfDoc.catalog.lookup(PDFName.of('Metadata'));
+    assert.equal(stream.dict.get(PDFName.of('Subtype')).toString(), '/XML');
+    assert.equal(stream.dict.get(PDFName.of('Filter')), undefined);
+
+    const xmp = Buffer.from(stream.getContents()).toString('utf-8');
+    assert.match(xmp, /<dc:title><rdf:Alt><rdf:li xml:lang="x-default">Annual &lt;Report&gt;<\/rdf:li>/);
+    assert.match(xmp, /<dc:creator><rdf:Seq><rdf:li>Finance Team<\/rdf:li>/);
+    assert.match(xmp, /<dc:subject><rdf:Bag><rdf:li>finance<\/rdf:li><rdf:li>annual report<\/rdf:li><\/rdf:Bag>/);
+    assert.match(xmp, /<pdf:Keywords>finance, annual report<\/pdf:Keywords>/);
+    assert.match(xmp, /<pdf:Producer>Custom Producer<\/pdf:Producer>/);
+    assert.match(xmp, /<xmp:CreatorTool>md-to-pdf<\/xmp:CreatorTool>/);
+    assert.match(xmp, /<xmp:CreateDate>2025-01-02T03:04:05.000Z<\/xmp:CreateDate>/);
+  });
+
+  it('leaves out fields that were not given', async () => {
+    const pdfDoc = await PDFDocument.load(await applyMetadata(await makePdf(A4), { title: 'Only a title' }), { updateMetadata: false });
+    assert.equal(pdfDoc.getAuthor(), undefined);
+    assert.equal(pdfDoc.getKeywords(), undefined);
+    const xmp = Buffer.from(pdfDoc.catalog.lookup(PDFName.of('Metadata')).getContents()).toString('utf-8');
+    assert.doesNotMatch(xmp, /dc:creator|dc:subject|pdf:Producer/);
+    assert.match(xmp, /<xmp:CreateDate>/);
+  });
+});
+
+// 1x1 transparent PNG
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+// Decoded content stream operators of every page
+async function pageContents(buffer) {
+  const pdfDoc = await PDFDocument.load(buffer);
+  return pdfDoc.getPages().map(page => {
+    const contents = page.node.Contents();
+    if (!contents) {
+      return '';
+    }
+    const streams = contents instanceof PDFArray ? contents.asArray().map(ref => pdfDoc.context.lookup(ref)) : [contents];
+    return streams.map(stream => {
+      const bytes = Buffer.from(stream.getContents());
+      return stream.dict.get(PDFName.of('Filter')) ? zlib.inflateSync(bytes).toString('latin1') : bytes.toString('latin1');
+    }).join('\n');
+  });
+}
+
+const hexText = text => `<${Buffer.from(text, 'latin1').toString('hex').toUpperCase()}> Tj`;
+
+describe('applyWatermark', () => {
+  it('stamps text on every page by default', async () => {
+    const contents = await pageContents(await applyWatermark(await makePdf(A4, LETTER_LANDSCAPE, A4), 'DRAFT'));
+    assert.equal(contents.length, 3);
+    for (const content of contents) {
+      assert.ok(content.includes(hexText('DRAFT')), content);
+    }
+  });
+
+  it('stamps only the selected pages', async () => {
+    const pdf = await makePdf(A4, A4, A4, A4);
+    const contents = await pageContents(await applyWatermark(pdf, { text: 'COPY', pages: '1,last' }));
+    assert.deepEqual(contents.map(content => content.includes(hexText('COPY'))), [true, false, false, true]);
+  });
+
+  it('draws an image on every selected page', async () => {
+    const contents = await pageContents(await applyWatermark(await makePdf(A4, A4), { image: PNG, scale: 0.25 }));
+    for (const content of contents) {
+      assert.match(content, /\/Image-\d+ Do/);
+    }
+  });
+
+  it('rejects bad settings as invalid options', async () => {
+    const pdf = await makePdf(A4);
+    const cases = [
+      [{}, /needs text or an image/],
+      [{ text: 'X', position: 'middle' }, /Invalid watermark position: middle/],
+      [{ text: 'X', opacity: 'high' }, /opacity and rotation must be numbers/],
+      [{ text: 'X', color: 'teal' }, /Invalid watermark color: teal/],
+      [{ text: 'X', pages: '2-x' }, /Invalid page range: 2-x/],
+      [{ image: PNG, scale: 0 }, /Invalid watermark scale: 0/],
+      [{ image: PNG, scale: -0.5 }, /Invalid watermark scale: -0.5/],
+      [{ image: PNG, scale: 'half' }, /Invalid watermark scale: half/],
+      [{ image: Buffer.from('GIF89a') }, /must be a PNG or JPEG/]
+    ];
+    for (const [watermark, message] of cases) {
+      await assert.rejects(applyWatermark(pdf, watermark), error => {
+        assert.match(error.message, message);
+        assert.equal(error.code, 'INVALID_OPTIONS');
+        assert.equal(error.statusCode, 400);
+        return true;
+      });
+    }
+  });
+
+  it('caps the image scale at the page width', async () => {
+    const contents = await pageContents(await applyWatermark(await makePdf(A4), { image: PNG, scale: 3, position: 'top-left' }));
+    // The image is drawn 1x1 and scaled by its width in the transformation matrix
+    assert.match(contents[0], /\b595 0 0 595 /);
+  });
+});
+
+describe('parsePageRanges', () => {
+  it('selects every page when nothing is given', () => {
+    assert.deepEqual(parsePageRanges(undefined, 3), [0, 1, 2]);
+    assert.deepEqual(parsePageRanges('all', 3), [0, 1, 2]);
+  });
+
+  it('resolves lists, open ranges, first and last and drops duplicates', () => {
+    assert.deepEqual(parsePageRanges('2-3, 1, 3', 5), [0, 1, 2]);
+    assert.deepEqual(parsePageRanges('4-', 5), [3, 4]);
+    assert.deepEqual(parsePageRanges('-2', 5), [0, 1]);
+    assert.deepEqual(parsePageRanges('first,last', 5), [0, 4]);
+  });
+
+  it('ignores pages past the end of the document', () => {
+    assert.deepEqual(parsePageRanges('2-10', 3), [1, 2]);
+    assert.deepEqual(parsePageRanges('7', 3), []);
+  });
+});
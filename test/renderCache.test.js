@@ -0,0 +1,132 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import RenderCache, { createCacheKey } from '../src/utils/renderCache.js';
+import PDFGenerationEngine from '../src/index.js';
+import { PDFServer } from '../src/server/app.js';
+import { getTemplateFingerprint } from '../src/utils/helpers.js';
+import { logger } from '../src/utils/logger.js';
+
+const key = (name) => createCacheKey({ name });
+const bytes = (size, fill = 1) => Buffer.alloc(size, fill);
+
+describe('createCacheKey', () => {
+  it('ignores key order and undefined values, and hashes Buffers by content', () => {
+    assert.equal(createCacheKey({ a: 1, b: 2, c: undefined }), createCacheKey({ b: 2, a: 1 }));
+    assert.equal(createCacheKey({ logo: Buffer.from('x') }), createCacheKey({ logo: Buffer.from('x') }));
+    assert.notEqual(createCacheKey({ logo: Buffer.from('x') }), createCacheKey({ logo: Buffer.from('y') }));
+  });
+});
+
+describe('RenderCache memory tier', () => {
+  it('evicts the least recently used entries once over maxBytes', async () => {
+    const cache = new RenderCache({ memory: { maxBytes: 30 } });
+    await cache.set(key('a'), bytes(10));
+    await cache.set(key('b'), bytes(10));
+    await cache.set(key('c'), bytes(10));
+    await cache.get(key('a'));
+    await cache.set(key('d'), bytes(10));
+
+    assert.equal(await cache.get(key('b')), null);
+    assert.equal((await cache.get(key('a'))).tier, 'memory');
+    assert.deepEqual(cache.stats().memory, { entries: 3, bytes: 30, maxBytes: 30 });
+  });
+
+  it('skips entries larger than the whole budget and counts replaced entries once', async () => {
+    const cache = new RenderCache({ memory: { maxBytes: '1KB' } });
+    await cache.set(key('huge'), bytes(2048));
+    await cache.set(key('a'), bytes(100));
+    await cache.set(key('a'), bytes(200));
+
+    assert.equal(await cache.get(key('huge')), null);
+    assert.deepEqual(cache.stats().memory, { entries: 1, bytes: 200, maxBytes: 1024 });
+  });
+});
+
+describe('RenderCache disk tier', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'render-cache-'));
+  });
+
+  afterEach(() => fs.rm(directory, { recursive: true, force: true }));
+
+  const pdfFiles = async () => (await fs.readdir(directory)).filter(name => name.endsWith('.pdf')).sort();
+
+  it('serves disk hits after the memory tier dropped them and evicts the oldest files', async () => {
+    const cache = new RenderCache({ memory: { maxBytes: 10 }, disk: { directory, maxBytes: 25 } });
+    await cache.set(key('a'), bytes(10));
+    await cache.set(key('b'), bytes(10));
+
+    const hit = await cache.get(key('a'));
+    assert.equal(hit.tier, 'disk');
+    assert.equal(hit.buffer.length, 10);
+
+    await cache.set(key('c'), bytes(10));
+    assert.deepEqual(await pdfFiles(), [`${key('a')}.pdf`, `${key('c')}.pdf`].sort());
+    assert.equal(cache.stats().disk.bytes, 20);
+  });
+
+  it('rebuilds its index from existing files and applies the limit on start', async () => {
+    const first = new RenderCache({ disk: { directory, maxBytes: '1KB' } });
+    await first.set(key('a'), bytes(10));
+    await first.set(key('b'), bytes(10));
+    await fs.writeFile(path.join(directory, 'notes.txt'), 'not a cache entry');
+
+    const restarted = new RenderCache({ disk: { directory, maxBytes: 15 } });
+    assert.equal(await restarted.get(key('x')), null);
+    assert.equal(restarted.stats().disk.entries, 1);
+    assert.equal((await fs.readdir(directory)).includes('notes.txt'), true);
+  });
+
+  it('survives concurrent writes of the same key', async () => {
+    const cache = new RenderCache({ disk: { directory } });
+    await Promise.all([1, 2, 3, 4].map(fill => cache.set(key('same'), bytes(10, fill))));
+
+    assert.deepEqual(await fs.readdir(directory), [`${key('same')}.pdf`]);
+    assert.deepEqual(cache.stats().disk, { entries: 1, bytes: 10, maxBytes: 1024 ** 3, directory });
+  });
+
+  it('purges both tiers', async () => {
+    const cache = new RenderCache({ disk: { directory } });
+    await cache.set(key('a'), bytes(10));
+    assert.deepEqual(await cache.purge(), { memory: 1, disk: 1 });
+    assert.deepEqual(await pdfFiles(), []);
+  });
+});
+
+describe('Template fingerprint', () => {
+  it('is part of the cache key, hashed per call unless one is kept', async () => {
+    const engine = new PDFGenerationEngine();
+    const fresh = await engine.getCacheKey('hello', 'text');
+    assert.equal(await engine.getCacheKey('hello', 'text'), fresh);
+
+    engine.templateFingerprint = await getTemplateFingerprint();
+    assert.equal(await engine.getCacheKey('hello', 'text'), fresh);
+    engine.templateFingerprint = 'changed';
+    assert.notEqual(await engine.getCacheKey('hello', 'text'), fresh);
+  });
+
+  it('is kept by the server while it runs', async () => {
+    logger.configure({ level: 'error' });
+    const engine = new PDFGenerationEngine();
+    const server = new PDFServer(engine, {});
+    try {
+      await server.start(0, '127.0.0.1');
+      assert.equal(engine.templateFingerprint, await getTemplateFingerprint());
+
+      // A refresh started later wins over one still in flight
+      const first = server.refreshTemplateFingerprint();
+      server.pendingFingerprint = Promise.resolve('newer');
+      await first;
+      assert.equal(engine.templateFingerprint, null);
+    } finally {
+      await server.stop();
+      logger.configure({ level: 'info' });
+    }
+    assert.equal(engine.templateFingerprint, null);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import TemplateEngine from '../src/utils/templateEngine.js';
+
+const withPartials = (partials, options = {}) => new TemplateEngine({
+  loadPartial: async (name) => partials[name],
+  ...options
+});
+
+describe('TemplateEngine partials', () => {
+  it('renders nested partials, including one used twice', async () => {
+    const engine = withPartials({ row: '<{{> cell}}|{{> cell}}>', cell: '{{x}}' });
+    assert.equal(await engine.render('{{> row}}', { x: 1 }), '<1|1>');
+  });
+
+  it('refuses a partial that includes itself, directly or through another', async () => {
+    await assert.rejects(withPartials({ a: '{{> a}}' }).render('{{> a}}'), /"a" includes itself: a > a/);
+    await assert.rejects(withPartials({ a: '{{> b}}', b: '{{> a}}' }).render('{{> a}}'), /includes itself: a > b > a/);
+  });
+
+  it('refuses partials nested deeper than the limit', async () => {
+    const chain = Object.fromEntries(Array.from({ length: 12 }, (_, i) => [`p${i}`, `{{> p${i + 1}}}`]));
+    await assert.rejects(withPartials(chain).render('{{> p0}}'), /nested more than 10 deep/);
+  });
+});
+
+describe('TemplateEngine lookups', () => {
+  it('never reads inherited properties', async () => {
+    const warnings = [];
+    const engine = new TemplateEngine({ onWarning: warning => warnings.push(warning) });
+    assert.equal(await engine.render('[{{constructor}}][{{user.toString}}][{{@proto}}]', { user: {} }), '[][][]');
+    assert.deepEqual(warnings, ['Unknown template variable "constructor"', 'Unknown template variable "user.toString"', 'Unknown template variable "@proto"']);
+  });
+
+  it('still resolves own properties, helpers and each frames', async () => {
+    const engine = new TemplateEngine();
+    const output = await engine.render('{{#each items}}{{@index}}:{{uppercase this}};{{/each}}{{title}}', {
+      items: ['a', 'b'],
+      title: '<T>'
+    });
+    assert.equal(output, '0:A;1:B;&lt;T&gt;');
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import UrlPolicy, { isPrivateAddress } from '../src/utils/urlPolicy.js';
+import PolicyProxy from '../src/utils/policyProxy.js';
+
+const resolvesTo = (addresses) => async () => addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+describe('isPrivateAddress', () => {
+  it('blocks loopback, private, link-local and CGNAT IPv4', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it('blocks IPv6 loopback, unique-local, link-local and IPv4-mapped private addresses', () => {
+    for (const address of ['::1', '::', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1', '::ffff:127.0.0.1']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it('blocks NAT64 addresses', () => {
+    assert.equal(isPrivateAddress('64:ff9b::7f00:1'), true);
+    assert.equal(isPrivateAddress('64:ff9b:1::a00:1'), true);
+  });
+
+  it('allows public addresses', () => {
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:2800:220:1:248:1893:25c8:1946', '::ffff:8.8.8.8']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+});
+
+describe('UrlPolicy', () => {
+  it('refuses private literals and hosts that resolve to private addresses', async () => {
+    const policy = new UrlPolicy({ lookup: resolvesTo(['10.0.0.5']) });
+    await assert.rejects(policy.check('http://127.0.0.1/'), { code: 'URL_BLOCKED', statusCode: 403 });
+    await assert.rejects(policy.check('http://[64:ff9b::7f00:1]/'), { code: 'URL_BLOCKED' });
+    await assert.rejects(policy.check('http://intranet.example/'), /private or link-local address: intranet.example \(10.0.0.5\)/);
+  });
+
+  it('refuses a host when any of its addresses is private', async () => {
+    const policy = new UrlPolicy({ lookup: resolvesTo(['93.184.216.34', '127.0.0.1']) });
+    await assert.rejects(policy.check('https://mixed.example/'), { code: 'URL_BLOCKED' });
+  });
+
+  it('accepts public hosts and returns their addresses', async () => {
+    const policy = new UrlPolicy({ lookup: resolvesTo(['93.184.216.34']) });
+    const url = await policy.check('https://example.com/report');
+    assert.equal(url.hostname, 'example.com');
+    assert.deepEqual(await policy.resolveHost('EXAMPLE.com'), [{ address: '93.184.216.34', family: 4 }]);
+  });
+
+  it('rejects invalid URLs and other schemes with 400', async () => {
+    const policy = new UrlPolicy({ lookup: resolvesTo(['93.184.216.34']) });
+    await assert.rejects(policy.check('not a url'), { statusCode: 400 });
+    await assert.rejects(policy.check('file:///etc/passwd'), { statusCode: 400 });
+  });
+
+  it('applies the denylist and allowlist, with wildcards', async () => {
+    const policy = new UrlPolicy({
+      allowlist: ['*.example.com'],
+      denylist: ['admin.example.com'],
+      lookup: resolvesTo(['93.184.216.34'])
+    });
+    await policy.check('https://docs.example.com/');
+    await policy.check('https://example.com/');
+    await assert.rejects(policy.check('https://admin.example.com/'), /Host is denied/);
+    await assert.rejects(policy.check('https://example.org/'), /not in the allowlist/);
+  });
+
+  it('lets allowlisted hosts and allowPrivateNetworks reach internal addresses', async () => {
+    const lookup = resolvesTo(['10.0.0.5']);
+    await new UrlPolicy({ allowlist: ['wiki.internal'], lookup }).check('http://wiki.internal/');
+    await new UrlPolicy({ allowPrivateNetworks: true, lookup }).check('http://wiki.internal/');
+  });
+
+  it('reports hosts that do not resolve', async () => {
+    const policy = new UrlPolicy({ lookup: async () => { throw new Error('ENOTFOUND'); } });
+    await assert.rejects(policy.check('https://missing.example/'), /Cannot resolve host: missing.example/);
+  });
+});
+
+describe('PolicyProxy', () => {
+  let fixture;
+  let fixturePort;
+
+  before(async () => {
+    fixture = http.createServer((req, res) => res.end(`${req.headers.host} ${req.url}`));
+    await new Promise(resolve => fixture.listen(0, '127.0.0.1', resolve));
+    fixturePort = fixture.address().port;
+  });
+
+  after(() => new Promise(resolve => fixture.close(resolve)));
+
+  // The fixture listens on 127.0.0.1, so only an allowlisted name may reach it
+  async function withProxy(config, task) {
+    const proxy = new PolicyProxy(new UrlPolicy({ lookup: resolvesTo(['127.0.0.1']), ...config }));
+    const { port } = new URL(await proxy.listen());
+    try {
+      return await task(port, proxy);
+    } finally {
+      await proxy.close();
+    }
+  }
+
+  function get(proxyPort, url) {
+    return new Promise((resolve, reject) => {
+      const request = http.request({ host: '127.0.0.1', port: proxyPort, path: url, headers: { host: new URL(url).host } }, (response) => {
+        let body = '';
+        response.on('data', chunk => { body += chunk; });
+        response.on('end', () => resolve({ status: response.statusCode, body }));
+      });
+      request.on('error', reject);
+      request.end();
+    });
+  }
+
+  function connect(proxyPort, target) {
+    return new Promise((resolve, reject) => {
+      const request = http.request({ host: '127.0.0.1', port: proxyPort, method: 'CONNECT', path: target });
+      request.on('connect', (response, socket) => {
+        socket.destroy();
+        resolve(response.statusCode);
+      });
+      request.on('error', reject);
+      request.end();
+    });
+  }
+
+  it('forwards plain HTTP to the checked address and keeps the Host header', async () => {
+    await withProxy({ allowlist: ['fixture.test'] }, async (port) => {
+      const response = await get(port, `http://fixture.test:${fixturePort}/page?a=1`);
+      assert.deepEqual(response, { status: 200, body: `fixture.test:${fixturePort} /page?a=1` });
+    });
+  });
+
+  it('opens CONNECT tunnels to allowed hosts', async () => {
+    await withProxy({ allowlist: ['fixture.test'] }, async (port) => {
+      assert.equal(await connect(port, `fixture.test:${fixturePort}`), 200);
+    });
+  });
+
+  it('refuses hosts that resolve to private addresses and remembers why', async () => {
+    await withProxy({}, async (port, proxy) => {
+      assert.equal((await get(port, `http://rebound.test:${fixturePort}/`)).status, 403);
+      assert.equal(await connect(port, `rebound.test:${fixturePort}`), 403);
+      assert.match(proxy.blockedError.message, /private or link-local address: rebound.test/);
+    });
+  });
+
+  it('resolves the host itself, so a DNS answer that changes after the first check is caught', async () => {
+    const answers = [['93.184.216.34'], ['127.0.0.1']];
+    const policy = new UrlPolicy({ lookup: async () => resolvesTo(answers.shift() || ['127.0.0.1'])() });
+    await policy.check(`http://rebinding.test:${fixturePort}/`);
+
+    const proxy = new PolicyProxy(policy);
+    const { port } = new URL(await proxy.listen());
+    try {
+      assert.equal((await get(port, `http://rebinding.test:${fixturePort}/`)).status, 403);
+    } finally {
+      await proxy.close();
+    }
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import puppeteer from 'puppeteer';
+import PdfGenerator from '../src/generators/pdfGenerator.js';
+import UrlPolicy from '../src/utils/urlPolicy.js';
+
+// These render through Chromium; without a usable browser they are skipped
+const browserError = await puppeteer.launch({ headless: 'new', args: ['--no-sandbox', '--disable-setuid-sandbox'] })
+  .then(browser => browser.close(), error => error);
+const skip = browserError ? `Chromium unavailable: ${browserError.message.split('\n')[0]}` : false;
+
+describe('PdfGenerator.generateFromUrl', { skip }, () => {
+  let fixture;
+  let port;
+  let requests;
+  let generator;
+
+  before(async () => {
+    requests = [];
+    fixture = http.createServer((req, res) => {
+      requests.push(req.url);
+      const hop = req.url.match(/^\/redirect\/(\d+)$/);
+      if (hop) {
+        res.writeHead(302, { location: `/redirect/${Number(hop[1]) + 1}` }).end();
+      } else if (req.url === '/slow') {
+        // Never answers
+      } else if (req.url === '/with-private-image') {
+        res.end(`<h1>Report</h1><img src="http://private.test:${port}/pixel.png">`);
+      } else {
+        res.end('<h1>Report</h1>');
+      }
+    });
+    await new Promise(resolve => fixture.listen(0, '127.0.0.1', resolve));
+    port = fixture.address().port;
+    generator = new PdfGenerator();
+  });
+
+  after(async () => {
+    await generator.close();
+    fixture.closeAllConnections();
+    await new Promise(resolve => fixture.close(resolve));
+  });
+
+  // Every name resolves to the fixture on 127.0.0.1; only allowlisted fixture.test may reach it
+  const policy = (config = {}) => new UrlPolicy({
+    allowlist: ['fixture.test'],
+    lookup: async () => [{ address: '127.0.0.1', family: 4 }],
+    ...config
+  });
+
+  it('renders an allowed page', async () => {
+    const pdf = await generator.generateFromUrl(`http://fixture.test:${port}/`, {}, policy());
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  });
+
+  it('stops after the redirect limit', async () => {
+    await assert.rejects(
+      generator.generateFromUrl(`http://fixture.test:${port}/redirect/0`, {}, policy({ maxRedirects: 2 })),
+      /Too many redirects \(limit: 2\)/
+    );
+    assert.ok(!requests.includes('/redirect/3'));
+  });
+
+  it('refuses hosts on private networks', async () => {
+    await assert.rejects(
+      generator.generateFromUrl(`http://private.test:${port}/`, {}, policy({ allowlist: [] })),
+      /private or link-local address: private.test/
+    );
+  });
+
+  it('blocks subresources the policy refuses but still renders the page', async () => {
+    requests.length = 0;
+    const pdf = await generator.generateFromUrl(`http://fixture.test:${port}/with-private-image`, {}, policy());
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.deepEqual(requests, ['/with-private-image']);
+  });
+
+  it('abandons pages that load for longer than the navigation timeout', async () => {
+    await assert.rejects(
+      generator.generateFromUrl(`http://fixture.test:${port}/slow`, {}, policy({ navigationTimeout: 500 })),
+      /timeout/i
+    );
+  });
+});